@@ -1,186 +1,782 @@
 import axios from 'axios';
 import { getConfig } from './config.js';
+import { cacheKey, cacheScope, scopedCacheKey, getTtl, diskCache } from './cache.js';
+import { readFixture, writeFixture } from './fixtures.js';
+import {
+  SUPPORTED_LANGUAGES,
+  MAX_RADIUS,
+  DISTANCE_UNITS,
+  ELEVATION_UNITS,
+  validateLanguage,
+  validateLocation,
+  validateElevationLocations,
+  validateCountryCode,
+  validateDate,
+  validateUnit,
+  validateRadius,
+  validateLimit
+} from './validate.js';
+
+export { SUPPORTED_LANGUAGES, MAX_RADIUS, validateLanguage };
+
+export const DEFAULT_BASE_URL = 'https://api.mon-voyage-pas-cher.com';
 
-const BASE_URL = 'https://api.mon-voyage-pas-cher.com';
+// ============================================================
+// Errors
+// ============================================================
+
+/**
+ * Process exit codes, one per error class
+ */
+export const EXIT_CODES = {
+  GENERAL: 1,
+  VALIDATION: 2,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  RATE_LIMITED: 5,
+  NETWORK: 6,
+  SERVER: 7
+};
 
-function getHeaders() {
-  const apiKey = getConfig('apiKey');
-  if (!apiKey) {
-    throw new Error('API key not configured. Run: monvoyagepascher config set --api-key YOUR_KEY');
+/**
+ * Base class for every error raised by the API layer
+ */
+export class ApiError extends Error {
+  constructor(message, { status, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = 'GENERAL';
+    this.status = status;
+    this.details = details;
   }
-  return {
-    'x-api-key': apiKey
-  };
-}
 
-async function request(endpoint, params = {}) {
-  try {
-    const headers = getHeaders();
-    const response = await axios.get(`${BASE_URL}${endpoint}`, {
-      headers,
-      params
-    });
+  get exitCode() {
+    return EXIT_CODES[this.code] ?? EXIT_CODES.GENERAL;
+  }
 
-    if (response.data.status === 'error') {
-      throw new Error(response.data.message || 'API error');
-    }
+  toJSON() {
+    const json = { type: this.name, code: this.code, exitCode: this.exitCode, message: this.message };
+    if (this.status !== undefined) json.status = this.status;
+    if (this.details !== undefined) json.details = this.details;
+    return json;
+  }
+}
 
-    return response.data;
-  } catch (error) {
-    if (error.response?.data?.message) {
-      throw new Error(`API Error: ${error.response.data.message}`);
-    }
-    if (error.message.startsWith('API Error')) throw error;
-    throw new Error(`Request failed: ${error.message}`);
+/**
+ * Missing, invalid or unauthorized API key (401/403)
+ */
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+    this.code = 'AUTH';
   }
 }
 
-// ============================================================
-// Geography APIs
-// ============================================================
+/**
+ * Bad arguments, rejected locally or by the API (400/422)
+ */
+export class ValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION';
+  }
+}
 
 /**
- * Search airports by country, coordinates, or IATA code
+ * Requested resource does not exist (404) or a lookup matched nothing
  */
-export async function searchAirports(options = {}) {
-  const params = {
-    language: options.language || getConfig('language') || 'en'
-  };
+export class NotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+    this.code = 'NOT_FOUND';
+  }
+}
 
-  if (options.location) params.location = options.location;
-  if (options.radius) params.radius = options.radius;
-  if (options.countrycode) params.countrycode = options.countrycode;
-  if (options.topAirports) params.top_airports = options.topAirports;
+/**
+ * Quota exhausted (429) after all retries
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.code = 'RATE_LIMITED';
+    this.retryAfter = retryAfter;
+  }
 
-  return await request('/airports', params);
+  toJSON() {
+    const json = super.toJSON();
+    if (this.retryAfter !== undefined && this.retryAfter !== null) json.retryAfter = this.retryAfter;
+    return json;
+  }
 }
 
 /**
- * Find cities near coordinates or within a country
+ * No response from the API (DNS, connection, timeout)
  */
-export async function findCitiesFromLatLong(options = {}) {
-  const params = {
-    language: options.language || getConfig('language') || 'en'
-  };
-
-  if (options.location) params.location = options.location;
-  if (options.radius) params.radius = options.radius;
-  if (options.countrycode) params.countrycode = options.countrycode;
-  if (options.limit) params.limit = options.limit;
-  if (options.sort) params.sort = options.sort;
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.code = 'NETWORK';
+  }
+}
 
-  return await request('/cities/findcitiesfromlatlong', params);
+/**
+ * The API failed on its side (5xx)
+ */
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+    this.code = 'SERVER';
+  }
 }
 
 /**
- * Search cities by text (autocomplete-style)
+ * Map an axios failure to the matching ApiError subclass
  */
-export async function findCitiesFromText(query, options = {}) {
-  const params = {
-    query,
-    language: options.language || getConfig('language') || 'en'
-  };
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  const response = error.response;
+  if (!response) {
+    // Not a transport failure (e.g. a bug); let it surface unchanged
+    if (!error.code && !error.request) return error;
+    return new NetworkError(`Request failed: ${error.message}`, { details: error.code ? { code: error.code } : undefined });
+  }
 
-  if (options.countrycode) params.countrycode = options.countrycode;
-  if (options.sort) params.sort = options.sort;
+  const status = response.status;
+  const message = `API Error: ${response.data?.message || response.statusText || `HTTP ${status}`}`;
 
-  return await request('/cities/findcitiesfromtext', params);
+  if (status === 401 || status === 403) return new AuthError(message, { status });
+  if (status === 404) return new NotFoundError(message, { status });
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+    return new RateLimitError(message, { status, retryAfter });
+  }
+  if (status === 400 || status === 422) return new ValidationError(message, { status });
+  if (status >= 500) return new ServerError(message, { status });
+  return new ApiError(message, { status });
 }
 
-/**
- * Find significant cities by population threshold
- */
-export async function getSignificantCities(options = {}) {
-  const params = {
-    language: options.language || getConfig('language') || 'en'
-  };
+// ============================================================
+// Transport, retry and rate limiting
+// ============================================================
 
-  if (options.population) params.population = options.population;
-  if (options.location) params.location = options.location;
-  if (options.countrycode) params.countrycode = options.countrycode;
-  if (options.limit) params.limit = options.limit;
-  if (options.sort) params.sort = options.sort;
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']);
 
-  return await request('/cities/significant', params);
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Get continent information
+ * Parse a Retry-After header (delta seconds or HTTP date) into ms
  */
-export async function getContinents(options = {}) {
-  const params = {
-    language: options.language || getConfig('language') || 'en'
-  };
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parse an X-RateLimit-Reset header (epoch seconds or delta seconds) into ms
+ */
+function parseRateLimitReset(value) {
+  const reset = Number(value);
+  if (!value || Number.isNaN(reset)) return null;
+  // Values this large are epoch timestamps rather than a delay
+  if (reset > 1e9) return Math.max(0, reset * 1000 - Date.now());
+  return reset * 1000;
+}
 
-  if (options.code) params.code = options.code;
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUS.has(error.response.status);
+  return RETRYABLE_CODES.has(error.code);
+}
 
-  return await request('/continents', params);
+/**
+ * Exponential backoff with full jitter, unless the server told us how long to
+ * wait. Returns null when that wait is longer than `maxDelay`: the caller
+ * gives up instead of sleeping silently.
+ */
+function retryDelay(error, attempt, policy) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) return retryAfter <= policy.maxDelay ? retryAfter : null;
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
 }
 
 /**
- * List countries or get specific country data
+ * Lower-case a fetch Headers object into a plain object
  */
-export async function getCountries(options = {}) {
-  const params = {
-    language: options.language || getConfig('language') || 'en'
-  };
+function headersToObject(headers) {
+  const result = {};
+  headers?.forEach?.((value, key) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
 
-  if (options.countrycode) params.countrycode = options.countrycode;
+/**
+ * Build a GET transport from an axios instance or a fetch function.
+ * Failures are shaped like axios errors: `error.response` when the server
+ * answered, `error.code` for network-level failures.
+ */
+function createTransport({ axios: instance, fetch: fetchFn }) {
+  if (fetchFn) {
+    return async (url, { headers, params, timeout }) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) query.append(key, String(value));
+      });
+
+      let res;
+      try {
+        const qs = query.toString();
+        res = await fetchFn(qs ? `${url}?${qs}` : url, {
+          method: 'GET',
+          headers,
+          signal: timeout ? AbortSignal.timeout(timeout) : undefined
+        });
+      } catch (error) {
+        const wrapped = new Error(error.message);
+        wrapped.code = error.name === 'TimeoutError' ? 'ETIMEDOUT' : (error.cause?.code || error.code);
+        throw wrapped;
+      }
+
+      const text = await res.text();
+      let data = text;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch {
+        // Keep non-JSON bodies as text
+      }
+
+      const response = { status: res.status, statusText: res.statusText, headers: headersToObject(res.headers), data };
+      if (res.status >= 400) {
+        const error = new Error(`Request failed with status code ${res.status}`);
+        error.response = response;
+        throw error;
+      }
+      return response;
+    };
+  }
 
-  return await request('/countries', params);
+  const http = instance || axios;
+  return (url, { headers, params, timeout }) => http.get(url, { headers, params, timeout });
 }
 
 // ============================================================
-// Services APIs
+// Pagination
 // ============================================================
 
 /**
- * Get elevation for coordinates (up to 20 locations)
+ * Read the next page request from a response, whatever scheme the API used.
+ * Returns extra params for the next call, or null on the last page.
  */
-export async function getElevation(locations, unit = 'meters') {
-  const params = {
-    locations,
-    unit
-  };
+function nextPageParams(response, itemCount, params) {
+  const meta = { ...response, ...(response.meta || {}), ...(response.pagination || {}) };
 
-  return await request('/elevation', params);
+  const cursor = meta.next_cursor ?? meta.nextCursor ?? meta.cursor?.next;
+  if (cursor) return { cursor };
+
+  if (meta.next_page) return { page: meta.next_page };
+  const page = Number(meta.page ?? params.page);
+  const totalPages = Number(meta.total_pages ?? meta.totalPages ?? meta.pages);
+  if (page && totalPages && page < totalPages) return { page: page + 1 };
+
+  const total = Number(meta.total ?? meta.total_count);
+  const offset = Number(meta.offset ?? params.offset ?? 0);
+  if (total && offset + itemCount < total) return { offset: offset + itemCount };
+
+  return null;
+}
+
+function itemKey(item) {
+  return item.id ?? item.iata_code ?? item.geonameid ?? JSON.stringify(item);
 }
 
 /**
- * Calculate distance between two points
+ * Yield every item from a list endpoint. Follows cursor/page/offset metadata when
+ * the API provides it; otherwise geo queries are repeated with a doubled radius
+ * up to `maxRadius`. Items already seen are skipped.
  */
-export async function getDistance(locationA, locationB, unit = 'kms') {
-  const params = {
-    locationA,
-    locationB,
-    unit
-  };
+async function* paginate(fetchPage, opts, { maxRadius, startRadius } = {}) {
+  const seen = new Set();
+  const max = opts.max ? Number(opts.max) : Infinity;
+  let pageOpts = { ...opts };
+  let yielded = 0;
+
+  if (pageOpts.location && maxRadius && !pageOpts.radius) pageOpts.radius = startRadius;
+
+  while (true) {
+    const response = await fetchPage(pageOpts);
+    const items = Array.isArray(response.data) ? response.data : [];
+    let fresh = 0;
+
+    for (const item of items) {
+      const key = itemKey(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      fresh++;
+      yield item;
+      if (++yielded >= max) return;
+    }
 
-  return await request('/distance', params);
+    const next = nextPageParams(response, items.length, pageOpts);
+    if (next) {
+      // Guard against an API that ignores the paging parameters
+      if (fresh === 0) return;
+      pageOpts = { ...pageOpts, ...next };
+      continue;
+    }
+
+    const radius = Number(pageOpts.radius);
+    if (pageOpts.location && maxRadius && radius < maxRadius) {
+      pageOpts = { ...pageOpts, radius: Math.min(maxRadius, radius * 2) };
+      continue;
+    }
+
+    return;
+  }
 }
 
 /**
- * Get sun positions (sunrise, sunset, etc.) for a location
+ * Copy paging parameters from method options into request params
  */
-export async function getSunPositions(location, date = null) {
-  const params = { location };
-  if (date) params.date = date;
-
-  return await request('/sun_positions', params);
+function addPageParams(params, opts) {
+  if (opts.page) params.page = opts.page;
+  if (opts.offset) params.offset = opts.offset;
+  if (opts.cursor) params.cursor = opts.cursor;
+  return params;
 }
 
+// ============================================================
+// Client
+// ============================================================
+
 /**
- * Get timezone and current time for a location
+ * Create an API client.
+ *
+ * Options are read on every request, so getters may be used for values that
+ * change over the client's lifetime.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Mon-voyage-pas-cher.com API key
+ * @param {string} [options.baseUrl] - API root, defaults to the public API
+ * @param {string} [options.language] - Default response language (en, fr, de, es)
+ * @param {number} [options.timeout] - Request timeout in ms (0 = none)
+ * @param {import('axios').AxiosInstance} [options.axios] - axios instance to send requests with
+ * @param {typeof fetch} [options.fetch] - fetch implementation, used instead of axios when set
+ * @param {number} [options.retries] - Retries for 408, 429, 5xx and network errors
+ * @param {number} [options.retryDelay] - Base backoff delay in ms
+ * @param {number} [options.retryMaxDelay] - Upper bound for one backoff delay in ms
+ * @param {number} [options.rateLimit] - Requests per second ceiling (0 = unlimited)
+ * @param {{ get: Function, set: Function }|false} [options.cache] - Response cache store
+ * @param {boolean} [options.refresh] - Skip cache reads but still write fresh responses
+ * @param {string} [options.record] - Directory to save every response to as a fixture
+ * @param {string} [options.replay] - Directory to answer requests from instead of the network
  */
-export async function getTimezone(location) {
-  const params = { location };
+export function createClient(options = {}) {
+  const transport = createTransport(options);
+
+  // Earliest time the next request may start, shared by every call on this client
+  let nextRequestAt = 0;
+
+  async function throttle() {
+    const rateLimit = options.rateLimit ?? 0;
+    const now = Date.now();
+    const start = Math.max(now, nextRequestAt);
+    if (rateLimit > 0) nextRequestAt = start + 1000 / rateLimit;
+    if (start > now) await sleep(start - now);
+  }
+
+  /**
+   * Delay further requests when the API reports an exhausted quota
+   */
+  function applyRateLimitHeaders(headers = {}) {
+    const remaining = headers['x-ratelimit-remaining'] ?? headers['ratelimit-remaining'];
+    if (remaining === undefined || Number(remaining) > 0) return;
+
+    const wait = parseRateLimitReset(headers['x-ratelimit-reset'] ?? headers['ratelimit-reset']);
+    if (wait) nextRequestAt = Math.max(nextRequestAt, Date.now() + wait);
+  }
+
+  function getHeaders() {
+    if (!options.apiKey) {
+      throw new AuthError('API key not configured. Run: monvoyagepascher config set --api-key YOUR_KEY');
+    }
+    return {
+      'x-api-key': options.apiKey
+    };
+  }
+
+  function language(opts) {
+    return validateLanguage(opts.language || options.language || 'en');
+  }
+
+  /**
+   * Countries from a /countries listing cached for this base URL and key, if
+   * any, so unknown codes get "did you mean" hints without a request. Without
+   * one, codes are only checked for their format.
+   */
+  function cachedCountries() {
+    const cache = options.cache || null;
+    if (!cache) return null;
+    for (const lang of SUPPORTED_LANGUAGES) {
+      const data = cache.get(storeKey('/countries', { language: lang }));
+      if (Array.isArray(data?.data) && data.data.length) return data.data;
+    }
+    return null;
+  }
+
+  function countryCode(code) {
+    return validateCountryCode(code, cachedCountries());
+  }
+
+  /**
+   * Answer a request from a recorded fixture instead of the network
+   */
+  function replay(endpoint, params) {
+    const fixture = readFixture(options.replay, endpoint, params);
+    if (!fixture) {
+      throw new ApiError(`No recorded fixture for ${cacheKey(endpoint, params)} in ${options.replay}`);
+    }
+    if (fixture.status >= 400) {
+      throw toApiError({ message: `HTTP ${fixture.status}`, response: { status: fixture.status, headers: {}, data: fixture.data } });
+    }
+    if (fixture.data?.status === 'error') {
+      throw new ApiError(`API Error: ${fixture.data.message || 'API error'}`);
+    }
+    return fixture.data;
+  }
+
+  /**
+   * Cache key of a request, scoped to this client's base URL and API key
+   */
+  function storeKey(endpoint, params) {
+    return scopedCacheKey(cacheScope(options.baseUrl || DEFAULT_BASE_URL, options.apiKey), endpoint, params);
+  }
+
+  /**
+   * GET an endpoint with caching, retries and rate limiting
+   */
+  async function request(endpoint, params = {}) {
+    if (options.replay) return replay(endpoint, params);
+
+    const cache = options.cache || null;
+    const ttl = cache ? getTtl(endpoint) : 0;
+    const key = storeKey(endpoint, params);
+
+    // Recording always hits the network so fixtures hold real responses
+    if (ttl && !options.refresh && !options.record) {
+      const cached = cache.get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    const policy = {
+      retries: options.retries ?? 3,
+      baseDelay: options.retryDelay ?? 500,
+      maxDelay: options.retryMaxDelay ?? 30000
+    };
+
+    try {
+      const headers = getHeaders();
+      const url = `${options.baseUrl || DEFAULT_BASE_URL}${endpoint}`;
+
+      for (let attempt = 0; ; attempt++) {
+        await throttle();
+
+        let response;
+        try {
+          response = await transport(url, { headers, params, timeout: options.timeout || 0 });
+        } catch (error) {
+          applyRateLimitHeaders(error.response?.headers);
+          if (attempt >= policy.retries || !isRetryable(error)) {
+            if (options.record && error.response) {
+              writeFixture(options.record, endpoint, params, error.response.status, error.response.data);
+            }
+            throw error;
+          }
+          const delay = retryDelay(error, attempt, policy);
+          // A 429 becomes a RateLimitError carrying the server's Retry-After
+          if (delay === null) throw error;
+          await sleep(delay);
+          continue;
+        }
+
+        applyRateLimitHeaders(response.headers);
+        if (options.record) writeFixture(options.record, endpoint, params, response.status, response.data);
+
+        if (response.data.status === 'error') {
+          throw new ApiError(`API Error: ${response.data.message || 'API error'}`);
+        }
+
+        if (ttl) cache.set(key, response.data, ttl);
+        return response.data;
+      }
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  // ============================================================
+  // Geography APIs
+  // ============================================================
+
+  /**
+   * Search airports by country, coordinates, or IATA code
+   */
+  async function searchAirports(opts = {}) {
+    const params = {
+      language: language(opts)
+    };
+
+    if (opts.location) params.location = validateLocation(opts.location);
+    if (opts.radius) params.radius = validateRadius(opts.radius, MAX_RADIUS.airports);
+    if (opts.countrycode) params.countrycode = countryCode(opts.countrycode);
+    if (opts.topAirports) params.top_airports = opts.topAirports;
+
+    return await request('/airports', addPageParams(params, opts));
+  }
+
+  /**
+   * Find cities near coordinates or within a country
+   */
+  async function findCitiesFromLatLong(opts = {}) {
+    const params = {
+      language: language(opts)
+    };
+
+    if (opts.location) params.location = validateLocation(opts.location);
+    if (opts.radius) params.radius = validateRadius(opts.radius, MAX_RADIUS.cities);
+    if (opts.countrycode) params.countrycode = countryCode(opts.countrycode);
+    if (opts.limit) params.limit = validateLimit(opts.limit);
+    if (opts.sort) params.sort = opts.sort;
+
+    return await request('/cities/findcitiesfromlatlong', addPageParams(params, opts));
+  }
+
+  /**
+   * Search cities by text (autocomplete-style)
+   */
+  async function findCitiesFromText(query, opts = {}) {
+    const params = {
+      query,
+      language: language(opts)
+    };
+
+    if (opts.countrycode) params.countrycode = countryCode(opts.countrycode);
+    if (opts.sort) params.sort = opts.sort;
+
+    return await request('/cities/findcitiesfromtext', params);
+  }
+
+  /**
+   * Find significant cities by population threshold
+   */
+  async function getSignificantCities(opts = {}) {
+    const params = {
+      language: language(opts)
+    };
+
+    if (opts.population) params.population = opts.population;
+    if (opts.location) params.location = validateLocation(opts.location);
+    if (opts.countrycode) params.countrycode = countryCode(opts.countrycode);
+    if (opts.limit) params.limit = validateLimit(opts.limit);
+    if (opts.sort) params.sort = opts.sort;
+
+    return await request('/cities/significant', addPageParams(params, opts));
+  }
+
+  /**
+   * Get continent information
+   */
+  async function getContinents(opts = {}) {
+    const params = {
+      language: language(opts)
+    };
+
+    if (opts.code) params.code = opts.code;
 
-  return await request('/timezone', params);
+    return await request('/continents', params);
+  }
+
+  /**
+   * List countries or get specific country data
+   */
+  async function getCountries(opts = {}) {
+    const params = {
+      language: language(opts)
+    };
+
+    if (opts.countrycode) params.countrycode = countryCode(opts.countrycode);
+
+    return await request('/countries', params);
+  }
+
+  // ============================================================
+  // Services APIs
+  // ============================================================
+
+  /**
+   * Get elevation for coordinates (up to MAX_ELEVATION_LOCATIONS, pipe-separated)
+   */
+  async function getElevation(locations, unit = 'meters') {
+    const params = {
+      locations: validateElevationLocations(locations),
+      unit: validateUnit(unit, ELEVATION_UNITS)
+    };
+
+    return await request('/elevation', params);
+  }
+
+  /**
+   * Calculate distance between two points
+   */
+  async function getDistance(locationA, locationB, unit = 'kms') {
+    const params = {
+      locationA: validateLocation(locationA, 'locationA'),
+      locationB: validateLocation(locationB, 'locationB'),
+      unit: validateUnit(unit, DISTANCE_UNITS)
+    };
+
+    return await request('/distance', params);
+  }
+
+  /**
+   * Get sun positions (sunrise, sunset, etc.) for a location
+   */
+  async function getSunPositions(location, date = null) {
+    const params = { location: validateLocation(location) };
+    if (date) params.date = validateDate(date);
+
+    return await request('/sun_positions', params);
+  }
+
+  /**
+   * Get timezone and current time for a location
+   */
+  async function getTimezone(location) {
+    const params = { location: validateLocation(location) };
+
+    return await request('/timezone', params);
+  }
+
+  /**
+   * Health check endpoint
+   */
+  async function ping() {
+    return await request('/pong');
+  }
+
+  // ============================================================
+  // Iterators
+  // ============================================================
+
+  /**
+   * Iterate over every airport matching the search (`max` caps the total)
+   */
+  function iterateAirports(opts = {}) {
+    return paginate(searchAirports, opts, { maxRadius: MAX_RADIUS.airports, startRadius: 100 });
+  }
+
+  /**
+   * Iterate over every city near a location or within a country
+   */
+  function iterateCitiesFromLatLong(opts = {}) {
+    return paginate(findCitiesFromLatLong, opts, { maxRadius: MAX_RADIUS.cities, startRadius: 25 });
+  }
+
+  /**
+   * Iterate over every significant city matching the filters
+   */
+  function iterateSignificantCities(opts = {}) {
+    return paginate(getSignificantCities, opts, { maxRadius: MAX_RADIUS.cities, startRadius: 50 });
+  }
+
+  return {
+    request,
+    searchAirports,
+    findCitiesFromLatLong,
+    findCitiesFromText,
+    getSignificantCities,
+    getContinents,
+    getCountries,
+    getElevation,
+    getDistance,
+    getSunPositions,
+    getTimezone,
+    ping,
+    iterateAirports,
+    iterateCitiesFromLatLong,
+    iterateSignificantCities
+  };
 }
 
+// ============================================================
+// Default client (CLI configuration)
+// ============================================================
+
+const cacheOptions = {
+  enabled: true,
+  refresh: false
+};
+
 /**
- * Health check endpoint
+ * Control response caching (--no-cache disables it, --refresh bypasses reads)
  */
-export async function ping() {
-  return await request('/pong');
+export function setCacheOptions(options = {}) {
+  if (options.enabled !== undefined) cacheOptions.enabled = options.enabled;
+  if (options.refresh !== undefined) cacheOptions.refresh = options.refresh;
 }
+
+const fixtureOptions = {
+  record: null,
+  replay: null
+};
+
+/**
+ * Record responses into, or replay them from, a fixture directory (--record, --replay)
+ */
+export function setFixtureOptions(options = {}) {
+  if (options.record !== undefined) fixtureOptions.record = options.record;
+  if (options.replay !== undefined) fixtureOptions.replay = options.replay;
+}
+
+const defaultClient = createClient({
+  get apiKey() { return getConfig('apiKey'); },
+  get baseUrl() { return getConfig('baseUrl'); },
+  get language() { return getConfig('language'); },
+  get retries() { return getConfig('retries'); },
+  get retryDelay() { return getConfig('retryDelay'); },
+  get retryMaxDelay() { return getConfig('retryMaxDelay'); },
+  get rateLimit() { return getConfig('rateLimit'); },
+  get cache() { return cacheOptions.enabled ? diskCache : false; },
+  get refresh() { return cacheOptions.refresh; },
+  get record() { return fixtureOptions.record; },
+  get replay() { return fixtureOptions.replay; }
+});
+
+export const {
+  searchAirports,
+  findCitiesFromLatLong,
+  findCitiesFromText,
+  getSignificantCities,
+  getContinents,
+  getCountries,
+  getElevation,
+  getDistance,
+  getSunPositions,
+  getTimezone,
+  ping,
+  iterateAirports,
+  iterateCitiesFromLatLong,
+  iterateSignificantCities
+} = defaultClient;
@@ -0,0 +1,252 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parseCsv, toCsv } from './csv.js';
+import {
+  getDistance,
+  getTimezone,
+  getSunPositions,
+  getElevation,
+  ApiError,
+  ValidationError
+} from './api.js';
+import { MAX_ELEVATION_LOCATIONS, DISTANCE_UNITS, ELEVATION_UNITS } from './validate.js';
+import { resolveLocation } from './locations.js';
+import { mapConcurrent } from './concurrency.js';
+
+// The API accepts at most this many pipe-separated locations per /elevation call
+export const ELEVATION_CHUNK_SIZE = MAX_ELEVATION_LOCATIONS;
+
+const LAT_COLUMNS = ['lat', 'latitude'];
+const LONG_COLUMNS = ['long', 'lng', 'lon', 'longitude'];
+
+/**
+ * Lookups available to `batch`, with the input columns each argument is read
+ * from. Arguments listed in `locations` accept anything the command line does
+ * (coordinates, airport codes, place names) and are resolved to coordinates.
+ * `units` lists the values `--unit` takes, for lookups that have one.
+ */
+export const BATCH_COMMANDS = {
+  distance: {
+    args: {
+      locationA: ['locationA', 'from', 'origin'],
+      locationB: ['locationB', 'to', 'destination']
+    },
+    required: ['locationA', 'locationB'],
+    locations: ['locationA', 'locationB'],
+    units: DISTANCE_UNITS,
+    run: (args, options) => getDistance(args.locationA, args.locationB, options.unit || 'kms'),
+    extract: (data, options) => ({
+      distance: data.data?.distance ?? null,
+      unit: options.unit || 'kms'
+    })
+  },
+  timezone: {
+    args: {
+      location: ['location', 'coords']
+    },
+    required: ['location'],
+    locations: ['location'],
+    run: (args) => getTimezone(args.location),
+    extract: (data) => ({
+      timezone: data.data?.timezone ?? null,
+      current_time: data.data?.current_time ?? null
+    })
+  },
+  sun: {
+    args: {
+      location: ['location', 'coords'],
+      date: ['date']
+    },
+    required: ['location'],
+    locations: ['location'],
+    run: (args) => getSunPositions(args.location, args.date || null),
+    extract: (data) => ({ ...(data.data || {}) })
+  },
+  elevation: {
+    args: {
+      location: ['location', 'coords']
+    },
+    required: ['location'],
+    locations: ['location'],
+    units: ELEVATION_UNITS,
+    chunked: true,
+    extract: (item, options) => ({
+      elevation: item?.elevation ?? null,
+      unit: item?.unit || options.unit || 'meters'
+    })
+  }
+};
+
+/**
+ * Read a CSV, TSV or JSONL file into row objects
+ */
+export function readInput(path) {
+  const text = readFileSync(path, 'utf8');
+  const ext = extname(path).toLowerCase();
+
+  if (ext === '.jsonl' || ext === '.ndjson' || (ext !== '.csv' && ext !== '.tsv' && text.trimStart().startsWith('{'))) {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), index }))
+      .filter(({ line }) => line)
+      .map(({ line, index }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new ValidationError(`Invalid JSON on line ${index + 1} of ${path}: ${error.message}`);
+        }
+      });
+  }
+
+  return parseCsv(text, ext === '.tsv' ? '\t' : ',');
+}
+
+/**
+ * Parse a `--map arg=column,arg=column` option
+ */
+export function parseMapping(spec) {
+  const mapping = {};
+  if (!spec) return mapping;
+
+  spec.split(',').forEach(pair => {
+    const [arg, column] = pair.split('=').map(part => part?.trim());
+    if (!arg || !column) {
+      throw new ValidationError(`Invalid mapping "${pair}". Expected arg=column`);
+    }
+    mapping[arg] = column;
+  });
+  return mapping;
+}
+
+function pick(record, columns) {
+  const column = columns.find(name => record[name] !== undefined && record[name] !== '');
+  return column ? record[column] : undefined;
+}
+
+/**
+ * Resolve the lookup arguments for one input row
+ */
+function buildArgs(definition, record, mapping) {
+  const args = {};
+
+  for (const [arg, columns] of Object.entries(definition.args)) {
+    const value = mapping[arg] ? record[mapping[arg]] : pick(record, columns);
+    if (value !== undefined && value !== '') args[arg] = String(value);
+  }
+
+  // Fall back to separate lat/long columns for single-location lookups
+  if (definition.args.location && !args.location) {
+    const lat = pick(record, LAT_COLUMNS);
+    const long = pick(record, LONG_COLUMNS);
+    if (lat !== undefined && long !== undefined) args.location = `${lat},${long}`;
+  }
+
+  const missing = definition.required.filter(arg => !args[arg]);
+  if (missing.length) {
+    throw new ValidationError(`Missing input column for ${missing.join(', ')}`);
+  }
+  return args;
+}
+
+function errorFields(error) {
+  return {
+    error: error.message,
+    error_code: error instanceof ApiError ? error.code : 'GENERAL'
+  };
+}
+
+/**
+ * Run a lookup for every input row. Returns one output row per input row, in order,
+ * with the input columns, the result columns and `error`/`error_code` for failures.
+ */
+export async function runBatch(command, records, options = {}) {
+  const definition = BATCH_COMMANDS[command];
+  if (!definition) {
+    throw new ValidationError(`Unknown batch command "${command}". Use one of: ${Object.keys(BATCH_COMMANDS).join(', ')}`);
+  }
+
+  const mapping = options.mapping || {};
+  const concurrency = options.concurrency || 4;
+  const onProgress = options.onProgress || (() => {});
+  const results = new Array(records.length);
+  let done = 0;
+
+  const finish = (index, fields) => {
+    results[index] = { ...records[index], ...fields };
+    onProgress(++done, records.length);
+  };
+
+  const parsed = [];
+  records.forEach((record, index) => {
+    try {
+      parsed.push({ index, args: buildArgs(definition, record, mapping) });
+    } catch (error) {
+      finish(index, errorFields(error));
+    }
+  });
+
+  // Resolve places like `--first` on the command line; a row whose place is
+  // unknown fails on its own rather than taking an elevation chunk with it
+  const jobs = (await mapConcurrent(parsed, concurrency, async (job) => {
+    try {
+      for (const arg of definition.locations) {
+        job.args[arg] = (await resolveLocation(job.args[arg], { first: true })).coordinates;
+      }
+      return job;
+    } catch (error) {
+      finish(job.index, errorFields(error));
+      return null;
+    }
+  })).filter(Boolean);
+
+  if (definition.chunked) {
+    const chunks = [];
+    for (let i = 0; i < jobs.length; i += ELEVATION_CHUNK_SIZE) {
+      chunks.push(jobs.slice(i, i + ELEVATION_CHUNK_SIZE));
+    }
+
+    await mapConcurrent(chunks, concurrency, async (chunk) => {
+      try {
+        const locations = chunk.map(job => job.args.location).join('|');
+        const data = await getElevation(locations, options.unit || 'meters');
+        const items = data.data || [];
+        // Results come back in request order; rows past a short answer have no value
+        const missing = new ApiError(`The API returned ${items.length} elevation(s) for ${chunk.length} locations`);
+        chunk.forEach((job, i) => {
+          if (i >= items.length) {
+            finish(job.index, errorFields(missing));
+            return;
+          }
+          finish(job.index, { ...definition.extract(items[i], options), error: null, error_code: null });
+        });
+      } catch (error) {
+        chunk.forEach(job => finish(job.index, errorFields(error)));
+      }
+    });
+  } else {
+    await mapConcurrent(jobs, concurrency, async (job) => {
+      try {
+        const data = await definition.run(job.args, options);
+        finish(job.index, { ...definition.extract(data, options), error: null, error_code: null });
+      } catch (error) {
+        finish(job.index, errorFields(error));
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Serialize batch results as CSV or JSONL
+ */
+export function formatBatchOutput(rows, format) {
+  if (format === 'jsonl') {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+  }
+
+  // Keep the error columns last so result columns line up with the input
+  const keys = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    .filter(key => key !== 'error' && key !== 'error_code');
+  return toCsv(rows, [...keys, 'error', 'error_code']);
+}
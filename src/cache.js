@@ -0,0 +1,174 @@
+import Conf from 'conf';
+import { createHash } from 'crypto';
+import { statSync } from 'fs';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Time-to-live per endpoint prefix (ms). 0 means never cache.
+const TTLS = {
+  '/countries': 30 * DAY,
+  '/continents': 30 * DAY,
+  '/airports': 7 * DAY,
+  '/cities/': DAY,
+  '/elevation': 30 * DAY,
+  '/distance': 30 * DAY,
+  '/sun_positions': 6 * HOUR,
+  '/timezone': 5 * MINUTE,
+  '/pong': 0
+};
+
+let store;
+
+function getStore() {
+  if (!store) {
+    store = new Conf({
+      projectName: 'ktmcp-monvoyagepascher',
+      configName: 'cache',
+      accessPropertiesByDotNotation: false
+    });
+  }
+  return store;
+}
+
+/**
+ * Get the TTL in ms for an endpoint (0 = not cacheable)
+ */
+export function getTtl(endpoint) {
+  const prefix = Object.keys(TTLS).find(p => endpoint.startsWith(p));
+  return prefix ? TTLS[prefix] : 0;
+}
+
+/**
+ * Build a stable cache key from endpoint + params
+ */
+export function cacheKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter(k => params[k] !== undefined && params[k] !== null)
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join('&');
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Scope for cached responses: the API they came from and a hash of the key
+ * that fetched them, so other backends and accounts never see them
+ */
+export function cacheScope(baseUrl, apiKey = '') {
+  const keyHash = createHash('sha256').update(String(apiKey ?? '')).digest('hex').slice(0, 12);
+  return `${baseUrl}#${keyHash}`;
+}
+
+/**
+ * Cache key of a request within a scope (see cacheScope)
+ */
+export function scopedCacheKey(scope, endpoint, params = {}) {
+  return `${scope} ${cacheKey(endpoint, params)}`;
+}
+
+/**
+ * Endpoint part of a stored key, scoped or not
+ */
+function endpointOf(key) {
+  return key.match(/(?:^| )(\/[^?]*)/)?.[1] ?? key.split('?')[0];
+}
+
+/**
+ * Get a cached response, or undefined when missing or expired
+ */
+export function getCached(key) {
+  const cache = getStore();
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expires <= Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.data;
+}
+
+/**
+ * Store a response for the given TTL
+ */
+export function setCached(key, data, ttl) {
+  if (!ttl) return;
+  const now = Date.now();
+  getStore().set(key, { storedAt: now, expires: now + ttl, data });
+}
+
+/**
+ * Unexpired cached responses for every request to an endpoint within a scope
+ */
+export function listCached(endpoint, scope) {
+  const now = Date.now();
+  return Object.entries(getStore().store)
+    .filter(([key, entry]) => key.startsWith(`${scope} `) && endpointOf(key) === endpoint && entry.expires > now)
+    .map(([, entry]) => entry.data);
+}
+
+/**
+ * Remove all entries, or only the expired ones
+ */
+export function clearCache({ expiredOnly = false } = {}) {
+  const cache = getStore();
+  if (!expiredOnly) {
+    const count = cache.size;
+    cache.clear();
+    return count;
+  }
+
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, entry] of Object.entries(cache.store)) {
+    if (entry.expires <= now) {
+      cache.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Summarize cache contents per endpoint
+ */
+export function getCacheStats() {
+  const cache = getStore();
+  const now = Date.now();
+  const endpoints = {};
+  let expired = 0;
+
+  for (const [key, entry] of Object.entries(cache.store)) {
+    const endpoint = endpointOf(key);
+    endpoints[endpoint] = endpoints[endpoint] || { entries: 0, expired: 0 };
+    endpoints[endpoint].entries++;
+    if (entry.expires <= now) {
+      endpoints[endpoint].expired++;
+      expired++;
+    }
+  }
+
+  let bytes = 0;
+  try {
+    bytes = statSync(cache.path).size;
+  } catch {
+    // No cache file written yet
+  }
+
+  return {
+    path: cache.path,
+    entries: cache.size,
+    expired,
+    bytes,
+    endpoints
+  };
+}
+
+/**
+ * The on-disk cache as a client cache store
+ */
+export const diskCache = {
+  get: getCached,
+  set: setCached
+};
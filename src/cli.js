@@ -0,0 +1,2345 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import ora from 'ora';
+import { writeFileSync } from 'fs';
+import { extname } from 'path';
+import {
+  getConfig,
+  setConfig,
+  isConfigured,
+  setOverrides,
+  resolveSetting,
+  getActiveProfile,
+  listProfiles,
+  getProfile,
+  addProfile,
+  removeProfile,
+  useProfile,
+  ignoredProjectBaseUrl,
+  PROJECT_FILE
+} from './config.js';
+import {
+  searchAirports,
+  findCitiesFromLatLong,
+  findCitiesFromText,
+  getSignificantCities,
+  getContinents,
+  getCountries,
+  getElevation,
+  getDistance,
+  getSunPositions,
+  getTimezone,
+  ping,
+  DEFAULT_BASE_URL,
+  iterateAirports,
+  iterateCitiesFromLatLong,
+  iterateSignificantCities,
+  setCacheOptions,
+  setFixtureOptions,
+  validateLanguage,
+  ApiError,
+  AuthError,
+  RateLimitError,
+  ValidationError,
+  NotFoundError,
+  EXIT_CODES
+} from './api.js';
+import { getCacheStats, clearCache } from './cache.js';
+import {
+  MAX_RADIUS,
+  MAX_ELEVATION_LOCATIONS,
+  DISTANCE_UNITS,
+  ELEVATION_UNITS,
+  validateInteger,
+  validateUnit,
+  validateDate,
+  validateRadius,
+  validateLimit
+} from './validate.js';
+import { BATCH_COMMANDS, readInput, parseMapping, runBatch, formatBatchOutput } from './batch.js';
+import { toCsv } from './csv.js';
+import { planTrip } from './trip.js';
+import { countryProfile } from './country.js';
+import { createMockServer, BUNDLED_FIXTURES } from './mock.js';
+import { createMcpServer, MCP_TOOLS } from './mcp.js';
+import { createProxyServer, DEFAULT_CLIENT_RATE } from './proxy.js';
+import { completionScript, completionValues, COMPLETION_SHELLS } from './completion.js';
+import { parseCoordinates, formatCoordinates, coordinatesOf, measure, compassPoint, greatCirclePath, KM_PER_MILE } from './geo.js';
+import { pick } from './picker.js';
+import { resolveLocation, resolveLocations, describeLocation } from './locations.js';
+import { splitLocations, readLocationsFile, resolveEndpoints, computeMatrix } from './matrix.js';
+import { nearestAirports, cityAirports } from './proximity.js';
+import { parseLanguages, fetchLocalized } from './languages.js';
+import { sunCalendar, toIcs, dateRange, parseEvents } from './sun.js';
+import { formatShift, formatOffset, parseInstant, parseHoursRange, isValidTimeZone, zonedParts } from './time.js';
+import { clockAt, isWorkingTime, workingOverlap } from './worldclock.js';
+import { elevationProfile, profileChart, sparkline, profileGeoJson, MIN_PROFILE_SAMPLES, MAX_PROFILE_SAMPLES } from './profile.js';
+import {
+  OUTPUT_FORMATS,
+  STREAMING_FORMATS,
+  GEO_FORMATS,
+  validateFormat,
+  projectColumns,
+  displayValue,
+  formatRows,
+  formatFeatures,
+  pointGeometry,
+  lineGeometry
+} from './format.js';
+
+const program = new Command();
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function printSuccess(message) {
+  console.log(chalk.green('✓') + ' ' + message);
+}
+
+function printError(message) {
+  console.error(chalk.red('✗') + ' ' + message);
+}
+
+function printTable(data, columns) {
+  if (!data || data.length === 0) {
+    console.log(chalk.yellow('No results found.'));
+    return;
+  }
+
+  const widths = {};
+  columns.forEach(col => {
+    widths[col.key] = col.label.length;
+    data.forEach(row => {
+      const val = displayValue(col, row);
+      if (val.length > widths[col.key]) widths[col.key] = val.length;
+    });
+    widths[col.key] = Math.min(widths[col.key], 50);
+  });
+
+  const header = columns.map(col => col.label.padEnd(widths[col.key])).join('  ');
+  console.log(chalk.bold(chalk.cyan(header)));
+  console.log(chalk.dim('─'.repeat(header.length)));
+
+  data.forEach(row => {
+    const line = columns.map(col => {
+      const val = displayValue(col, row);
+      return val.substring(0, widths[col.key]).padEnd(widths[col.key]);
+    }).join('  ');
+    console.log(line);
+  });
+
+  console.log(chalk.dim(`\n${data.length} result(s)`));
+}
+
+function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Print rows in the global --format, restricted to --fields.
+ * `table` replaces the default table view for single-record commands.
+ * `geo` enables the geojson and kml formats (see toFeatures).
+ */
+function printRows(rows, columns, { title, table, geo } = {}) {
+  const { format, fields } = program.opts();
+  const projected = projectColumns(columns, fields);
+
+  if (GEO_FORMATS.includes(format)) {
+    process.stdout.write(formatFeatures(toFeatures(rows, projected, geo, { format, fields }), format, { title }));
+    return;
+  }
+
+  if (format !== 'table') {
+    process.stdout.write(formatRows(rows, projected, format));
+    return;
+  }
+
+  if (table && !fields) {
+    table();
+    return;
+  }
+
+  if (title) console.log(chalk.bold(`\n${title}\n`));
+  printTable(rows, projected);
+}
+
+/**
+ * Print every item from a paginated iterator. Streaming formats are written as
+ * results arrive; other formats are collected first.
+ */
+async function printAll(items, toRow, columns, { title, json } = {}) {
+  const { format, fields } = program.opts();
+  const projected = projectColumns(columns, fields);
+
+  if (!json && STREAMING_FORMATS.includes(format)) {
+    let first = true;
+    for await (const item of items) {
+      process.stdout.write(formatRows([toRow(item)], projected, format, { header: first }));
+      first = false;
+    }
+    if (first) process.stdout.write(formatRows([], projected, format));
+    return;
+  }
+
+  const collected = [];
+  const spinner = ora('Fetching all results...').start();
+  try {
+    for await (const item of items) {
+      collected.push(item);
+      spinner.text = `Fetched ${collected.length} result(s)...`;
+    }
+  } finally {
+    spinner.stop();
+  }
+
+  if (json) {
+    printJson({ status: 'success', count: collected.length, data: collected });
+    return;
+  }
+
+  printRows(collected.map(toRow), columns, { title, geo: { records: collected } });
+}
+
+/**
+ * Features for --format geojson/kml. `geo.records` are the API records behind
+ * `rows` and become the properties, unless --fields picks row columns instead.
+ * `geo.geometry(record, i)` defaults to a point at the record's coordinates,
+ * and `geo.name(row)` to the row's name or first column.
+ */
+function toFeatures(rows, columns, geo, { format, fields }) {
+  if (!geo) {
+    throw new ValidationError(
+      `--format ${format} is only available for commands that return places (airports, cities nearby/significant/search, elevation, distance)`
+    );
+  }
+
+  return rows.map((row, i) => {
+    const record = geo.records[i];
+    const properties = fields ? Object.fromEntries(columns.map(col => [col.key, row[col.key] ?? null])) : record;
+    return {
+      name: geo.name ? geo.name(row) : row.name ?? row[columns[0]?.key] ?? null,
+      geometry: geo.geometry ? geo.geometry(record, i) : pointGeometry(coordinatesOf(record)),
+      properties
+    };
+  });
+}
+
+/**
+ * Parse --max, which also turns on --all
+ */
+function parseMax(options) {
+  if (options.max === undefined) return undefined;
+  return validateInteger(options.max, '--max');
+}
+
+async function withSpinner(message, fn) {
+  const spinner = ora(message).start();
+  try {
+    const result = await fn();
+    spinner.stop();
+    return result;
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+/**
+ * Validate --language, and parse --languages (null when not given)
+ */
+function parseLanguageOptions(options) {
+  if (options.language) validateLanguage(options.language);
+  if (!options.languages) return null;
+  if (options.language) {
+    throw new ValidationError('Use either --language or --languages, not both');
+  }
+  return parseLanguages(options.languages);
+}
+
+/**
+ * Fetch once per language and merge into an API-shaped response whose records
+ * carry a `names` map (see languages.js)
+ */
+async function fetchLanguages(languages, fetchRecords, keyOf) {
+  const data = await fetchLocalized(languages, fetchRecords, keyOf);
+  return { status: 'success', languages, count: data.length, data };
+}
+
+/**
+ * Replace the `key` column with one "Name (lang)" column per language
+ */
+function withNameColumns(columns, languages, key = 'name') {
+  if (!languages) return columns;
+  return columns.flatMap(col => col.key === key
+    ? languages.map(lang => ({ key: `name_${lang}`, label: `${col.label} (${lang})` }))
+    : [col]);
+}
+
+function localizedNames(record, languages) {
+  if (!languages) return {};
+  return Object.fromEntries(languages.map(lang => [`name_${lang}`, record.names?.[lang] ?? null]));
+}
+
+/**
+ * Run an interactive picker and print the chosen record to stdout in the
+ * requested --output form. The picker itself draws on stderr, so
+ * `$(monvoyagepascher ... pick)` captures only the selection.
+ */
+async function printPick(pickOptions, outputs, options) {
+  const mode = options.json ? 'json' : options.output;
+  if (!outputs[mode]) {
+    throw new ValidationError(`--output must be one of: ${Object.keys(outputs).join(', ')}`);
+  }
+  if (!process.stdin.isTTY || !process.stderr.isTTY) {
+    throw new ValidationError('pick needs an interactive terminal');
+  }
+
+  const item = await pick(pickOptions);
+  if (!item) process.exit(130);
+
+  console.log(outputs[mode](item));
+}
+
+/**
+ * Resolve coordinates, airport codes or place names (see locations.js) before
+ * any spinner starts. In a terminal, ambiguous names open a picker unless --first.
+ */
+async function resolvePlaces(inputs, options = {}) {
+  return resolveLocations(inputs, placeOptions(options));
+}
+
+/**
+ * Options for locations.js: --first, --language and, in a terminal, a chooser
+ */
+function placeOptions(options = {}) {
+  const interactive = process.stdin.isTTY && process.stderr.isTTY;
+  return {
+    first: program.opts().first,
+    language: options.language,
+    choose: interactive ? chooseLocation : undefined
+  };
+}
+
+function chooseLocation(candidates, input) {
+  return pick({
+    prompt: `Which "${input}"?`,
+    minChars: 0,
+    debounce: 0,
+    search: async (text) => candidates.filter(c => c.name.toLowerCase().includes(text.toLowerCase())),
+    render: (c) => [
+      chalk.bold(c.name),
+      c.record?.population ? chalk.dim(`pop. ${Number(c.record.population).toLocaleString()}`) : null,
+      chalk.dim(c.coordinates)
+    ].filter(Boolean).join('  ')
+  });
+}
+
+function pickCoordinates(item) {
+  const coords = coordinatesOf(item);
+  if (!coords) throw new NotFoundError('The selected entry has no coordinates');
+  return formatCoordinates(coords);
+}
+
+/**
+ * Print an error and exit with its class's exit code.
+ * With --json the error is written to stderr as a JSON object.
+ */
+function handleError(error, options = {}) {
+  const exitCode = error instanceof ApiError ? error.exitCode : EXIT_CODES.GENERAL;
+  const format = program.opts().format;
+
+  if (options.json || format === 'json' || format === 'ndjson') {
+    const payload = error instanceof ApiError
+      ? error.toJSON()
+      : { type: 'Error', code: 'GENERAL', exitCode, message: error.message };
+    console.error(JSON.stringify({ error: payload }, null, 2));
+    process.exit(exitCode);
+  }
+
+  printError(error.message);
+  if (error instanceof AuthError) {
+    // Hints go to stderr too: stdout may be a pipe or the MCP protocol stream
+    console.error('\nRun the following to configure:');
+    console.error(chalk.cyan('  monvoyagepascher config set --api-key YOUR_API_KEY'));
+    console.error('\nGet an API key at: https://mon-voyage-pas-cher.com/');
+  }
+  if (error instanceof RateLimitError && error.retryAfter) {
+    console.error(chalk.gray(`The server asks to wait ${Math.ceil(error.retryAfter / 1000)}s before retrying.`));
+  }
+  process.exit(exitCode);
+}
+
+function requireAuth(options = {}) {
+  // Replayed fixtures never reach the API
+  if (program.opts().replay) return;
+
+  let configured = false;
+  try {
+    configured = isConfigured();
+  } catch (error) {
+    handleError(error, options);
+  }
+  if (!configured) {
+    handleError(new AuthError('API key not configured.'), options);
+  }
+}
+
+function maskKey(apiKey) {
+  return apiKey ? apiKey.substring(0, 6) + '...' + apiKey.slice(-4) : '';
+}
+
+// ============================================================
+// Program metadata
+// ============================================================
+
+program
+  .name('monvoyagepascher')
+  .description(chalk.bold('Mon Voyage Pas Cher CLI') + ' - Travel and flight deals from your terminal')
+  .version('1.0.0')
+  .option('--no-cache', 'Bypass the on-disk response cache')
+  .option('--refresh', 'Ignore cached responses and fetch fresh data')
+  .option('--format <format>', `Output format (${OUTPUT_FORMATS.join(', ')})`, 'table')
+  .option('--fields <list>', 'Comma-separated columns to output, in order')
+  .option('--profile <name>', 'Configuration profile to use')
+  .option('--base-url <url>', 'API base URL (e.g. a local mock server)')
+  .option('--record <dir>', 'Save every API response as a fixture in dir')
+  .option('--replay <dir>', 'Answer requests from fixtures in dir instead of the API')
+  .option('--first', 'Take the best match when a place name is ambiguous instead of asking');
+
+program.hook('preAction', () => {
+  const globalOpts = program.opts();
+  setCacheOptions({ enabled: globalOpts.cache, refresh: !!globalOpts.refresh });
+  setOverrides({ profile: globalOpts.profile, baseUrl: globalOpts.baseUrl });
+  setFixtureOptions({ record: globalOpts.record, replay: globalOpts.replay });
+
+  try {
+    validateFormat(globalOpts.format);
+  } catch (error) {
+    program.setOptionValue('format', 'table');
+    handleError(error);
+  }
+
+  try {
+    // Also the first read of the project file, so one that does not parse fails here
+    const ignored = ignoredProjectBaseUrl();
+    if (ignored) {
+      console.error(chalk.yellow(`⚠ Ignoring baseUrl ${ignored.value} from ${ignored.path}: the API key in use does not come from that file, so it would be sent there. Pass --base-url to use it.`));
+    }
+  } catch (error) {
+    handleError(error);
+  }
+});
+
+// ============================================================
+// CONFIG
+// ============================================================
+
+const configCmd = program.command('config').description('Manage CLI configuration');
+
+/**
+ * Check a requests-per-second value: any non-negative number, 0 meaning unlimited
+ */
+function parseRate(value, field) {
+  const number = Number(value);
+  if (String(value ?? '').trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new ValidationError(`${field} must be a non-negative number (got "${value}")`);
+  }
+  return number;
+}
+
+const RETRY_SETTINGS = [
+  { option: 'retries', key: 'retries', label: 'Retries', parse: (v) => validateInteger(v, '--retries', { min: 0 }) },
+  { option: 'retryDelay', key: 'retryDelay', label: 'Retry delay (ms)', parse: (v) => validateInteger(v, '--retry-delay', { min: 0 }) },
+  { option: 'retryMaxDelay', key: 'retryMaxDelay', label: 'Max retry delay (ms)', parse: (v) => validateInteger(v, '--retry-max-delay', { min: 0 }) },
+  { option: 'rateLimit', key: 'rateLimit', label: 'Rate limit (req/s)', parse: (v) => parseRate(v, '--rate-limit') }
+];
+
+configCmd
+  .command('set')
+  .description('Set configuration values (API key, URL and language go to the active profile)')
+  .option('--api-key <key>', 'Mon-voyage-pas-cher.com API key')
+  .option('--api-base-url <url>', 'API base URL')
+  .option('--language <lang>', 'Default language (en, fr, de, es)')
+  .option('--retries <n>', 'Retries for 429, 5xx and network errors')
+  .option('--retry-delay <ms>', 'Base delay for exponential backoff')
+  .option('--retry-max-delay <ms>', 'Upper bound for a single backoff delay')
+  .option('--rate-limit <rps>', 'Client-side requests per second ceiling (0 = unlimited)')
+  .action((options) => {
+    let changed = false;
+    const profile = getActiveProfile().name;
+
+    try {
+      if (options.apiKey) {
+        setConfig('apiKey', options.apiKey);
+        printSuccess(`API key set (profile: ${profile})`);
+        changed = true;
+      }
+      if (options.apiBaseUrl) {
+        setConfig('baseUrl', options.apiBaseUrl);
+        printSuccess(`Base URL set to ${options.apiBaseUrl} (profile: ${profile})`);
+        changed = true;
+      }
+      if (options.language) {
+        setConfig('language', validateLanguage(options.language));
+        printSuccess(`Language set to ${options.language} (profile: ${profile})`);
+        changed = true;
+      }
+      // Check every value before storing any of them
+      const values = RETRY_SETTINGS
+        .filter(setting => options[setting.option] !== undefined)
+        .map(setting => [setting, setting.parse(options[setting.option])]);
+      for (const [setting, value] of values) {
+        setConfig(setting.key, value);
+        printSuccess(`${setting.label} set to ${value}`);
+        changed = true;
+      }
+    } catch (error) {
+      handleError(error);
+    }
+    if (!changed) {
+      handleError(new ValidationError('No options provided. Use --api-key, --api-base-url, --language, --retries, --retry-delay, --retry-max-delay or --rate-limit'));
+    }
+  });
+
+configCmd
+  .command('show')
+  .description('Show current configuration and where each value comes from')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const profile = getActiveProfile();
+      const apiKey = resolveSetting('apiKey');
+      const baseUrl = resolveSetting('baseUrl');
+      const language = resolveSetting('language');
+
+      if (options.json) {
+        printJson({
+          profile,
+          apiKey: { value: maskKey(apiKey.value) || null, source: apiKey.source },
+          baseUrl: { value: baseUrl.value || DEFAULT_BASE_URL, source: baseUrl.source },
+          language,
+          ...Object.fromEntries(RETRY_SETTINGS.map(setting => [setting.key, getConfig(setting.key)]))
+        });
+        return;
+      }
+
+      const source = (value) => chalk.dim(`(${value})`);
+      console.log(chalk.bold('\nMon Voyage Pas Cher CLI Configuration\n'));
+      console.log('Profile:  ', chalk.cyan(profile.name), source(profile.source));
+      console.log('API Key:  ', apiKey.value ? chalk.green(maskKey(apiKey.value)) : chalk.red('not set'), source(apiKey.source));
+      console.log('Base URL: ', chalk.cyan(baseUrl.value || DEFAULT_BASE_URL), source(baseUrl.source));
+      console.log('Language: ', chalk.cyan(language.value || 'en'), source(language.source));
+      console.log('');
+      RETRY_SETTINGS.forEach(setting => {
+        console.log(`${setting.label}:`.padEnd(22), chalk.cyan(getConfig(setting.key)));
+      });
+      console.log('');
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+const profileCmd = configCmd.command('profile').description(`Manage named profiles (project overrides: ${PROJECT_FILE})`);
+
+profileCmd
+  .command('add <name>')
+  .description('Create a profile')
+  .option('--api-key <key>', 'API key for this profile')
+  .option('--api-base-url <url>', 'API base URL for this profile')
+  .option('--language <lang>', 'Default language for this profile')
+  .action((name, options) => {
+    try {
+      addProfile(name, { apiKey: options.apiKey, baseUrl: options.apiBaseUrl, language: options.language });
+      printSuccess(`Profile ${name} added`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Make a profile the default for every command')
+  .action((name) => {
+    try {
+      useProfile(name);
+      printSuccess(`Now using profile ${name}`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+profileCmd
+  .command('list')
+  .description('List profiles')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const active = getActiveProfile().name;
+      const tableData = listProfiles().map(name => {
+        const values = getProfile(name) || {};
+        return {
+          active: name === active,
+          name,
+          apiKey: maskKey(values.apiKey) || null,
+          baseUrl: values.baseUrl || null,
+          language: values.language || null
+        };
+      });
+
+      if (options.json) {
+        printJson(tableData);
+        return;
+      }
+
+      printRows(tableData, [
+        { key: 'active', label: ' ', format: (v) => v ? '*' : '' },
+        { key: 'name', label: 'Profile' },
+        { key: 'apiKey', label: 'API Key' },
+        { key: 'baseUrl', label: 'Base URL' },
+        { key: 'language', label: 'Language' }
+      ], { title: 'Profiles' });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+profileCmd
+  .command('remove <name>')
+  .description('Delete a profile')
+  .action((name) => {
+    try {
+      removeProfile(name);
+      printSuccess(`Profile ${name} removed`);
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// ============================================================
+// CACHE
+// ============================================================
+
+const cacheCmd = program.command('cache').description('Inspect and clear the response cache');
+
+cacheCmd
+  .command('stats')
+  .description('Show cache location, size and entries per endpoint')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const stats = getCacheStats();
+
+    if (options.json) {
+      printJson(stats);
+      return;
+    }
+
+    if (program.opts().format === 'table') {
+      console.log(chalk.bold('\nResponse Cache\n'));
+      console.log('Path:     ', chalk.cyan(stats.path));
+      console.log('Size:     ', chalk.cyan(`${(stats.bytes / 1024).toFixed(1)} KB`));
+      console.log('Entries:  ', chalk.cyan(stats.entries), chalk.dim(`(${stats.expired} expired)`));
+      console.log('');
+    }
+
+    const tableData = Object.entries(stats.endpoints).map(([endpoint, counts]) => ({
+      endpoint,
+      entries: counts.entries,
+      expired: counts.expired
+    }));
+
+    printRows(tableData, [
+      { key: 'endpoint', label: 'Endpoint' },
+      { key: 'entries', label: 'Entries' },
+      { key: 'expired', label: 'Expired' }
+    ]);
+  });
+
+cacheCmd
+  .command('clear')
+  .description('Remove cached responses')
+  .option('--expired', 'Only remove expired entries')
+  .action((options) => {
+    const removed = clearCache({ expiredOnly: !!options.expired });
+    printSuccess(`Removed ${removed} cached response(s)`);
+  });
+
+// ============================================================
+// AIRPORTS
+// ============================================================
+
+const airportsCmd = program
+  .command('airports')
+  .description('Search airports by location, country, or IATA code')
+  .option('--location <place>', 'Coordinates (lat,long), airport code or place name')
+  .option('--radius <km>', 'Search radius in km (max 500)')
+  .option('--country <code>', 'Country code (e.g., US, FR, GB)')
+  .option('--top', 'Filter to top airports only')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--languages <list>', 'Fetch several languages, one name column each (e.g. en,fr,de,es)')
+  .option('--all', 'Fetch every page (widens the radius for --location searches)')
+  .option('--max <n>', 'Stop after n results (implies --all)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth(options);
+
+    try {
+      const languages = parseLanguageOptions(options);
+      // Checked here too so a bad value fails before the place is looked up
+      if (options.radius) validateRadius(options.radius, MAX_RADIUS.airports, '--radius');
+      const place = options.location ? (await resolvePlaces([options.location], options))[0] : null;
+      const opts = {
+        language: options.language,
+        location: place?.coordinates,
+        radius: options.radius,
+        countrycode: options.country,
+        topAirports: options.top
+      };
+      const title = place ? `Airports near ${describeLocation(place)}` : 'Airports';
+
+      const toRow = (airport) => ({
+        iata: airport.iata_code ?? null,
+        name: airport.name ?? null,
+        ...localizedNames(airport, languages),
+        city: airport.municipality ?? null,
+        country: airport.iso_country ?? null,
+        elevation: airport.elevation_ft ?? null
+      });
+      const columns = withNameColumns([
+        { key: 'iata', label: 'IATA' },
+        { key: 'name', label: 'Airport Name' },
+        { key: 'city', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'elevation', label: 'Elevation (ft)' }
+      ], languages);
+
+      const max = parseMax(options);
+      if (languages) {
+        const data = await withSpinner('Searching airports...', () =>
+          fetchLanguages(languages, async (lang) => {
+            if (!options.all && !max) return (await searchAirports({ ...opts, language: lang })).data || [];
+            const airports = [];
+            for await (const airport of iterateAirports({ ...opts, language: lang, max })) airports.push(airport);
+            return airports;
+          }, (airport) => airport.iata_code ?? airport.icao_code ?? `${airport.latitude},${airport.longitude}`)
+        );
+
+        if (options.json) {
+          printJson(data);
+          return;
+        }
+
+        printRows(data.data.map(toRow), columns, { title, geo: { records: data.data } });
+        return;
+      }
+
+      if (options.all || max) {
+        await printAll(iterateAirports({ ...opts, max }), toRow, columns, { title, json: options.json });
+        return;
+      }
+
+      const data = await withSpinner('Searching airports...', () => searchAirports(opts));
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const records = data.data || [];
+      printRows(records.map(toRow), columns, { title, geo: { records } });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+airportsCmd
+  .command('pick [query]')
+  .description('Pick an airport interactively (type a city, IATA code, country code or lat,long)')
+  .option('--country <code>', 'Filter by country code')
+  .option('--top', 'Filter to top airports only')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--output <mode>', 'Print the selection as coords, iata or json', 'coords')
+  .option('--json', 'Same as --output json')
+  .action(async (query, _options, command) => {
+    // --country, --top, --language and --json are also `airports` options and are parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      let shown = [];
+      await printPick({
+        prompt: 'Airport',
+        initial: query,
+        search: async (text) => {
+          const opts = { language: options.language, countrycode: options.country, topAirports: options.top };
+          if (/^[A-Za-z]{2}$/.test(text) && !options.country) {
+            opts.countrycode = text.toUpperCase();
+          } else {
+            // The API only locates codes and coordinates; a city name is looked up first.
+            // A name still being typed may not resolve: keep the last list until it does.
+            let place;
+            try {
+              place = await resolveLocation(text, { first: true, language: options.language });
+            } catch (error) {
+              if (error instanceof ValidationError || error instanceof NotFoundError) return shown;
+              throw error;
+            }
+            opts.location = place.coordinates;
+          }
+          shown = (await searchAirports(opts)).data || [];
+          return shown;
+        },
+        render: (airport) => [
+          chalk.bold(airport.iata_code || airport.icao_code || '---'),
+          airport.name,
+          chalk.dim([airport.municipality, airport.iso_country].filter(Boolean).join(', '))
+        ].filter(Boolean).join('  ')
+      }, {
+        coords: pickCoordinates,
+        iata: (airport) => {
+          if (!airport.iata_code) throw new NotFoundError('The selected airport has no IATA code');
+          return airport.iata_code;
+        },
+        json: (airport) => JSON.stringify(airport)
+      }, options);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+airportsCmd
+  .command('nearest <place>')
+  .description('Airports closest to a place, with distance and bearing')
+  .option('--count <n>', 'Number of airports', '5')
+  .option('--unit <unit>', 'Unit (kms or miles)', 'kms')
+  .action(async (place, _options, command) => {
+    // --radius, --top, --language and --json are also `airports` options and are parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      const count = validateInteger(options.count, '--count');
+      validateUnit(options.unit, DISTANCE_UNITS, '--unit');
+      const radius = options.radius !== undefined
+        ? validateRadius(options.radius, MAX_RADIUS.airports, '--radius')
+        : undefined;
+
+      const [location] = await resolvePlaces([place], options);
+      const airports = await withSpinner('Finding nearest airports...', () =>
+        nearestAirports(location, {
+          count,
+          radius,
+          topAirports: options.top,
+          language: options.language
+        })
+      );
+
+      if (options.json) {
+        printJson({ status: 'success', location, count: airports.length, data: airports });
+        return;
+      }
+
+      const toUnit = (km) => Number((options.unit === 'miles' ? km / KM_PER_MILE : km).toFixed(1));
+      const tableData = airports.map(airport => ({
+        rank: airport.rank,
+        iata: airport.iata_code ?? null,
+        name: airport.name ?? null,
+        city: airport.municipality ?? null,
+        country: airport.iso_country ?? null,
+        distance: toUnit(airport.distanceKm),
+        bearing: Math.round(airport.bearing)
+      }));
+
+      printRows(tableData, [
+        { key: 'rank', label: '#' },
+        { key: 'iata', label: 'IATA' },
+        { key: 'name', label: 'Airport Name' },
+        { key: 'city', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'distance', label: `Distance (${options.unit})`, format: (v) => Number(v).toLocaleString() },
+        { key: 'bearing', label: 'Bearing', format: (v) => `${v}° ${compassPoint(v)}` }
+      ], { title: `Airports nearest ${describeLocation(location)}` });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// CITIES
+// ============================================================
+
+const citiesCmd = program.command('cities').description('Search and discover cities');
+
+citiesCmd
+  .command('search <query>')
+  .description('Search cities by name (autocomplete-style)')
+  .option('--country <code>', 'Filter by country code')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--languages <list>', 'Fetch several languages, one name column each (e.g. en,fr,de,es)')
+  .option('--json', 'Output as JSON')
+  .action(async (query, options) => {
+    requireAuth(options);
+
+    if (query.length < 3) {
+      handleError(new ValidationError('Query must be at least 3 characters'), options);
+    }
+
+    try {
+      const languages = parseLanguageOptions(options);
+      const opts = {
+        language: options.language,
+        countrycode: options.country
+      };
+
+      const data = await withSpinner(`Searching cities for "${query}"...`, () => languages
+        ? fetchLanguages(
+          languages,
+          async (lang) => (await findCitiesFromText(query, { ...opts, language: lang })).data || [],
+          (city) => city.geonameid ?? city.id ?? `${city.latitude},${city.longitude}`
+        )
+        : findCitiesFromText(query, opts)
+      );
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const cities = data.data || [];
+      const tableData = cities.map(city => ({
+        name: city.name ?? null,
+        ...localizedNames(city, languages),
+        country: city.country ?? null,
+        population: city.population ?? null,
+        timezone: city.timezone ?? null
+      }));
+
+      printRows(tableData, withNameColumns([
+        { key: 'name', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'population', label: 'Population', format: (v) => Number(v).toLocaleString() },
+        { key: 'timezone', label: 'Timezone' }
+      ], languages), { title: `Cities matching "${query}"`, geo: { records: cities } });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+citiesCmd
+  .command('pick [query]')
+  .description('Pick a city interactively with live autocomplete')
+  .option('--country <code>', 'Filter by country code')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--output <mode>', 'Print the selection as coords or json', 'coords')
+  .option('--json', 'Same as --output json')
+  .action(async (query, options) => {
+    requireAuth(options);
+
+    try {
+      await printPick({
+        prompt: 'City',
+        initial: query,
+        // City search needs at least 3 characters
+        minChars: 3,
+        search: async (text) => {
+          const data = await findCitiesFromText(text, { language: options.language, countrycode: options.country });
+          return data.data || [];
+        },
+        render: (city) => [
+          chalk.bold(city.name),
+          city.country,
+          city.population ? chalk.dim(`pop. ${Number(city.population).toLocaleString()}`) : null,
+          city.timezone ? chalk.dim(city.timezone) : null
+        ].filter(Boolean).join('  ')
+      }, {
+        coords: pickCoordinates,
+        json: (city) => JSON.stringify(city)
+      }, options);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+citiesCmd
+  .command('nearby')
+  .description('Find cities near a place')
+  .option('--location <place>', 'Coordinates (lat,long), airport code or place name', '48.8566,2.3522')
+  .option('--radius <km>', 'Search radius in km (max 200)')
+  .option('--country <code>', 'Filter by country code')
+  .option('--limit <n>', 'Maximum results per page (max 50)')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--all', 'Fetch every page, widening the radius up to 200 km')
+  .option('--max <n>', 'Stop after n results (implies --all)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth(options);
+
+    try {
+      // Checked here too so a bad value fails before the place is looked up
+      if (options.radius) validateRadius(options.radius, MAX_RADIUS.cities, '--radius');
+      if (options.limit) validateLimit(options.limit, '--limit');
+      const [place] = await resolvePlaces([options.location], options);
+      const opts = {
+        language: options.language,
+        location: place.coordinates,
+        radius: options.radius,
+        countrycode: options.country,
+        limit: options.limit
+      };
+
+      const toRow = (city) => ({
+        name: city.name ?? null,
+        country: city.country ?? null,
+        population: city.population ?? null,
+        elevation: city.elevation ?? null
+      });
+      const columns = [
+        { key: 'name', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'population', label: 'Population', format: (v) => Number(v).toLocaleString() },
+        { key: 'elevation', label: 'Elevation (m)' }
+      ];
+      const title = `Cities near ${describeLocation(place)}`;
+
+      const max = parseMax(options);
+      if (options.all || max) {
+        await printAll(iterateCitiesFromLatLong({ ...opts, max }), toRow, columns, { title, json: options.json });
+        return;
+      }
+
+      const data = await withSpinner('Finding nearby cities...', () =>
+        findCitiesFromLatLong(opts)
+      );
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const records = data.data || [];
+      printRows(records.map(toRow), columns, { title, geo: { records } });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+citiesCmd
+  .command('significant')
+  .description('Find major cities by population')
+  .option('--country <code>', 'Filter by country code')
+  .option('--population <percent>', 'Population percentage threshold')
+  .option('--limit <n>', 'Maximum results per page (max 50)')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--all', 'Fetch every page')
+  .option('--max <n>', 'Stop after n results (implies --all)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth(options);
+
+    try {
+      const opts = {
+        language: options.language,
+        countrycode: options.country,
+        population: options.population,
+        limit: options.limit
+      };
+
+      const toRow = (city) => ({
+        name: city.name ?? null,
+        country: city.country ?? null,
+        population: city.population ?? null,
+        capital: city.capital ?? null
+      });
+      const columns = [
+        { key: 'name', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'population', label: 'Population', format: (v) => Number(v).toLocaleString() },
+        { key: 'capital', label: 'Capital Status' }
+      ];
+
+      const max = parseMax(options);
+      if (options.all || max) {
+        await printAll(iterateSignificantCities({ ...opts, max }), toRow, columns, { title: 'Significant Cities', json: options.json });
+        return;
+      }
+
+      const data = await withSpinner('Finding significant cities...', () =>
+        getSignificantCities(opts)
+      );
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const records = data.data || [];
+      printRows(records.map(toRow), columns, { title: 'Significant Cities', geo: { records } });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+citiesCmd
+  .command('airports')
+  .description('Pair each significant city with its closest airport')
+  .option('--country <code>', 'Filter by country code')
+  .option('--population <percent>', 'Population percentage threshold')
+  .option('--max <n>', 'Stop after n cities')
+  .option('--any-airport', 'Consider every airport, not only top airports')
+  .option('--concurrency <n>', 'Cities looked up in parallel', '4')
+  .option('--unit <unit>', 'Unit (kms or miles)', 'kms')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth(options);
+
+    try {
+      const concurrency = validateInteger(options.concurrency, '--concurrency');
+      validateUnit(options.unit, DISTANCE_UNITS, '--unit');
+
+      const spinner = ora('Fetching significant cities...').start();
+      let pairs;
+      try {
+        pairs = await cityAirports({
+          country: options.country,
+          population: options.population,
+          max: parseMax(options),
+          topAirports: !options.anyAirport,
+          concurrency,
+          language: options.language,
+          onProgress: (done, total) => { spinner.text = `Matching airports ${done}/${total}...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      if (options.json) {
+        printJson({ status: 'success', count: pairs.length, data: pairs });
+        return;
+      }
+
+      const toUnit = (km) => Number((options.unit === 'miles' ? km / KM_PER_MILE : km).toFixed(1));
+      const tableData = pairs.map(({ city, airport }) => ({
+        city: city.name ?? null,
+        country: city.country ?? null,
+        population: city.population ?? null,
+        iata: airport?.iata_code ?? null,
+        airport: airport?.name ?? null,
+        distance: airport ? toUnit(airport.distanceKm) : null,
+        bearing: airport ? Math.round(airport.bearing) : null
+      }));
+
+      printRows(tableData, [
+        { key: 'city', label: 'City' },
+        { key: 'country', label: 'Country' },
+        { key: 'population', label: 'Population', format: (v) => Number(v).toLocaleString() },
+        { key: 'iata', label: 'IATA' },
+        { key: 'airport', label: 'Closest Airport' },
+        { key: 'distance', label: `Distance (${options.unit})`, format: (v) => Number(v).toLocaleString() },
+        { key: 'bearing', label: 'Bearing', format: (v) => `${v}° ${compassPoint(v)}` }
+      ], { title: options.country ? `Closest airports to cities in ${options.country}` : 'Closest airports to significant cities' });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// COUNTRIES
+// ============================================================
+
+const countriesCmd = program
+  .command('countries [code]')
+  .description('List all countries or get specific country data')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--languages <list>', 'Fetch several languages, one name column each (e.g. en,fr,de,es)')
+  .option('--json', 'Output as JSON')
+  .action(async (code, options) => {
+    requireAuth(options);
+
+    try {
+      const languages = parseLanguageOptions(options);
+      const opts = {
+        language: options.language,
+        countrycode: code
+      };
+
+      const data = await withSpinner(code ? `Fetching data for ${code}...` : 'Fetching countries...', () => languages
+        ? fetchLanguages(
+          languages,
+          async (lang) => (await getCountries({ ...opts, language: lang })).data || [],
+          (country) => country.cca2 ?? country.cca3
+        )
+        : getCountries(opts)
+      );
+
+      if (code && !(data.data || []).length) {
+        throw new NotFoundError(`No country found for code ${code}`);
+      }
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const countries = data.data || [];
+      const tableData = countries.map(country => ({
+        code: country.cca2 ?? null,
+        name: country.name ?? null,
+        ...localizedNames(country, languages),
+        capital: country.capital ?? null,
+        population: country.population ?? null,
+        area: country.area ?? null
+      }));
+
+      printRows(tableData, withNameColumns([
+        { key: 'code', label: 'Code' },
+        { key: 'name', label: 'Country' },
+        { key: 'capital', label: 'Capital' },
+        { key: 'population', label: 'Population', format: (v) => Number(v).toLocaleString() },
+        { key: 'area', label: 'Area (km²)', format: (v) => Number(v).toLocaleString() }
+      ], languages), { title: 'Countries' });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+countriesCmd
+  .command('profile <code>')
+  .description('One report on a country: continent, capital and its local time, largest cities, top airports')
+  .option('--cities <n>', 'Largest cities to list', '10')
+  .option('--airports <n>', 'Top airports to list', '10')
+  .action(async (code, _options, command) => {
+    // --language and --json belong to `countries` and are parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      const cities = validateLimit(options.cities, '--cities');
+      const airports = validateInteger(options.airports, '--airports');
+      const profile = await withSpinner(`Building profile of ${code}...`, () =>
+        countryProfile(code, { language: options.language, cities, airports })
+      );
+
+      if (options.json) {
+        printJson({ status: 'success', data: profile });
+        return;
+      }
+
+      const { country, continent, capital } = profile;
+      const summary = {
+        code: profile.code,
+        name: country.name ?? null,
+        continent: continent?.name ?? country.continent ?? null,
+        capital: capital?.name ?? null,
+        timezone: capital?.timezone ?? null,
+        local_time: capital?.localTime ?? null,
+        population: country.population ?? null,
+        area: country.area ?? null,
+        density: profile.density === null ? null : Math.round(profile.density),
+        cities: profile.cities.map(city => city.name).join(', ') || null,
+        airports: profile.airports.map(airport => airport.iata_code ?? airport.icao_code).filter(Boolean).join(', ') || null
+      };
+      const count = (v) => Number(v).toLocaleString();
+
+      printRows([summary], [
+        { key: 'code', label: 'Code' },
+        { key: 'name', label: 'Country' },
+        { key: 'continent', label: 'Continent' },
+        { key: 'capital', label: 'Capital' },
+        { key: 'timezone', label: 'Timezone' },
+        { key: 'local_time', label: 'Local Time' },
+        { key: 'population', label: 'Population', format: count },
+        { key: 'area', label: 'Area (km²)', format: count },
+        { key: 'density', label: 'Density (/km²)', format: count },
+        { key: 'cities', label: 'Largest Cities' },
+        { key: 'airports', label: 'Top Airports' }
+      ], {
+        table: () => {
+          const codes = [country.cca2, country.cca3].filter(Boolean).join(' · ');
+          console.log(chalk.bold(`\n${country.name ?? profile.code}${codes ? chalk.dim(` (${codes})`) : ''}\n`));
+
+          const offset = capital?.utcOffsetMinutes == null ? '' : ` (${formatOffset(capital.utcOffsetMinutes)})`;
+          const facts = [
+            ['Continent', continent ? `${continent.name} (${continent.code})` : country.continent],
+            ['Capital', capital?.name],
+            ['Local time', capital?.timezone && `${capital.localTime ?? '-'} ${chalk.dim(`${capital.timezone}${offset}`)}`],
+            ['Population', country.population != null && count(country.population)],
+            ['Area', country.area != null && `${count(country.area)} km²`],
+            ['Density', profile.density !== null && `${count(Math.round(profile.density))} per km²`]
+          ];
+          facts.forEach(([label, value]) => console.log(`${chalk.bold(`${label}:`.padEnd(12))} ${value || chalk.dim('-')}`));
+
+          console.log(chalk.bold('\nLargest cities\n'));
+          printTable(profile.cities, [
+            { key: 'name', label: 'City' },
+            { key: 'population', label: 'Population', format: count },
+            { key: 'timezone', label: 'Timezone' },
+            { key: 'elevation', label: 'Elevation (m)' }
+          ]);
+
+          console.log(chalk.bold('\nTop airports\n'));
+          printTable(profile.airports, [
+            { key: 'iata_code', label: 'IATA' },
+            { key: 'icao_code', label: 'ICAO' },
+            { key: 'name', label: 'Name' },
+            { key: 'municipality', label: 'City' }
+          ]);
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// CONTINENTS
+// ============================================================
+
+program
+  .command('continents [code]')
+  .description('Get continent information')
+  .option('--language <lang>', 'Language (en, fr, de, es)')
+  .option('--languages <list>', 'Fetch several languages, one name column each (e.g. en,fr,de,es)')
+  .option('--json', 'Output as JSON')
+  .action(async (code, options) => {
+    requireAuth(options);
+
+    try {
+      const languages = parseLanguageOptions(options);
+      const opts = {
+        language: options.language,
+        code: code
+      };
+
+      const data = await withSpinner('Fetching continents...', () => languages
+        ? fetchLanguages(
+          languages,
+          async (lang) => (await getContinents({ ...opts, language: lang })).data || [],
+          (continent) => continent.code
+        )
+        : getContinents(opts)
+      );
+
+      if (code && !(data.data || []).length) {
+        throw new NotFoundError(`No continent found for code ${code}`);
+      }
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const continents = data.data || [];
+      const tableData = continents.map(continent => ({
+        code: continent.code ?? null,
+        name: continent.name ?? null,
+        ...localizedNames(continent, languages),
+        countries: continent.countries ? continent.countries.length : null
+      }));
+
+      printRows(tableData, withNameColumns([
+        { key: 'code', label: 'Code' },
+        { key: 'name', label: 'Continent' },
+        { key: 'countries', label: 'Countries' }
+      ], languages), { title: 'Continents' });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// ELEVATION
+// ============================================================
+
+const elevationCmd = program
+  .command('elevation <locations>')
+  .description('Get elevation for places (pipe-separated: "lat,long|CDG|Lyon")')
+  .option('--unit <unit>', 'Unit (meters or feet)', 'meters')
+  .option('--json', 'Output as JSON')
+  .action(async (locations, options) => {
+    requireAuth(options);
+
+    try {
+      const inputs = locations.split('|').map(l => l.trim()).filter(Boolean);
+      if (inputs.length > MAX_ELEVATION_LOCATIONS) {
+        throw new ValidationError(`elevation takes at most ${MAX_ELEVATION_LOCATIONS} locations (got ${inputs.length}); use batch elevation for more`);
+      }
+      const places = await resolvePlaces(inputs, options);
+      const data = await withSpinner('Fetching elevation data...', () =>
+        getElevation(places.map(p => p.coordinates).join('|'), options.unit)
+      );
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const results = data.data || [];
+      const tableData = results.map((result, i) => ({
+        place: places[i] ? places[i].name ?? places[i].input : null,
+        location: result.location ?? places[i]?.coordinates ?? null,
+        elevation: result.elevation ?? null,
+        unit: result.unit || options.unit
+      }));
+
+      printRows(tableData, [
+        { key: 'place', label: 'Place' },
+        { key: 'location', label: 'Location' },
+        { key: 'elevation', label: 'Elevation' },
+        { key: 'unit', label: 'Unit' }
+      ], {
+        title: 'Elevation',
+        geo: { records: tableData, geometry: (row) => pointGeometry(parseCoordinates(row.location)) }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+elevationCmd
+  .command('profile <from> <to>')
+  .description('Elevation along the great-circle path between two places, with a terrain chart')
+  .option('--samples <n>', 'Points sampled along the path', '200')
+  .option('--output <file>', 'Also write the profile to a file (.csv or .geojson)')
+  .option('--output-format <format>', 'Export format (csv or geojson), defaults to the output file type')
+  .option('--concurrency <n>', 'Elevation requests in flight at once', '2')
+  .action(async (from, to, _options, command) => {
+    // --unit and --json belong to `elevation` and are parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      const samples = validateInteger(options.samples, '--samples', { min: MIN_PROFILE_SAMPLES, max: MAX_PROFILE_SAMPLES });
+      const concurrency = validateInteger(options.concurrency, '--concurrency');
+      validateUnit(options.unit, ELEVATION_UNITS, '--unit');
+      const exportFormat = options.output
+        ? options.outputFormat || (extname(options.output).toLowerCase() === '.csv' ? 'csv' : 'geojson')
+        : null;
+      if (exportFormat && !['csv', 'geojson'].includes(exportFormat)) {
+        throw new ValidationError('--output-format must be csv or geojson');
+      }
+
+      const [start, end] = await resolvePlaces([from, to], options);
+      const spinner = ora('Fetching elevation profile...').start();
+      let profile;
+      try {
+        profile = await elevationProfile(start, end, {
+          samples,
+          unit: options.unit,
+          concurrency,
+          onProgress: (done, total) => { spinner.text = `Fetching elevation profile ${done}/${total}...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      const { stats, unit } = profile;
+      const rows = profile.points.map(point => ({
+        index: point.index,
+        distance_km: Number(point.distanceKm.toFixed(3)),
+        location: point.location,
+        elevation: point.elevation
+      }));
+
+      if (exportFormat) {
+        const names = { from: describeLocation(start), to: describeLocation(end) };
+        writeFileSync(options.output, exportFormat === 'csv'
+          ? toCsv(rows, ['index', 'distance_km', 'location', 'elevation'])
+          : JSON.stringify(profileGeoJson(profile, names), null, 2) + '\n');
+        const note = `Wrote ${rows.length} sample(s) to ${options.output}`;
+        if (!options.json && program.opts().format === 'table') {
+          printSuccess(note);
+        } else {
+          console.error(chalk.dim(note));
+        }
+      }
+
+      if (options.json) {
+        printJson({ status: 'success', from: start, to: end, unit, stats, count: rows.length, data: rows });
+        return;
+      }
+
+      const amount = (value) => value === null ? '-' : `${Math.round(value).toLocaleString()} ${unit === 'feet' ? 'ft' : 'm'}`;
+
+      printRows(rows, [
+        { key: 'index', label: '#' },
+        { key: 'distance_km', label: 'Distance (km)' },
+        { key: 'location', label: 'Location' },
+        { key: 'elevation', label: `Elevation (${unit})` }
+      ], {
+        table: () => {
+          console.log(chalk.bold(`\nElevation Profile: ${describeLocation(start)} → ${describeLocation(end)}\n`));
+
+          const values = profile.points.map(point => point.elevation);
+          const axis = [amount(stats.max), amount(stats.min)];
+          const gutter = Math.max(...axis.map(label => label.length));
+          const width = Math.max(10, Math.min(values.length, (process.stdout.columns || 80) - gutter - 3));
+          const chart = profileChart(values, { width, height: 10 });
+
+          if (chart.length) {
+            chart.forEach((line, i) => {
+              const label = i === 0 ? axis[0] : i === chart.length - 1 ? axis[1] : '';
+              console.log(`${chalk.dim(label.padStart(gutter))} ${chalk.dim('│')}${chalk.green(line)}`);
+            });
+            const chartWidth = chart[0].length;
+            const distance = `${stats.distanceKm.toFixed(1)} km`;
+            console.log(`${' '.repeat(gutter)} ${chalk.dim('└' + '─'.repeat(chartWidth))}`);
+            console.log(`${' '.repeat(gutter)}  ${chalk.dim('0 km'.padEnd(Math.max(5, chartWidth - distance.length)) + distance)}`);
+            console.log(`\n${chalk.dim('Sparkline:')} ${sparkline(values, Math.min(values.length, 60))}\n`);
+          } else {
+            console.log(chalk.yellow('No elevation data returned for this path.\n'));
+          }
+
+          console.log(`${chalk.bold('Distance:')}  ${stats.distanceKm.toFixed(1)} km (${stats.samples} samples${stats.missing ? `, ${stats.missing} without data` : ''})`);
+          console.log(`${chalk.bold('Lowest:')}    ${amount(stats.min)}`);
+          console.log(`${chalk.bold('Highest:')}   ${amount(stats.max)}`);
+          console.log(`${chalk.bold('Ascent:')}    ${amount(stats.ascent)}`);
+          console.log(`${chalk.bold('Descent:')}   ${amount(stats.descent)}`);
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// DISTANCE
+// ============================================================
+
+const distanceCmd = program
+  .command('distance <locationA> <locationB>')
+  .description('Calculate distance between two places (coords, airport codes or place names)')
+  .option('--unit <unit>', 'Unit (kms or miles)', 'kms')
+  .option('--offline', 'Never call the API; fail if a location is not coordinates')
+  .option('--method <method>', 'Local formula (vincenty or haversine)', 'vincenty')
+  .option('--json', 'Output as JSON')
+  .action(async (locationA, locationB, options) => {
+    try {
+      validateUnit(options.unit, DISTANCE_UNITS, '--unit');
+      if (!['vincenty', 'haversine'].includes(options.method)) {
+        throw new ValidationError('--method must be vincenty or haversine');
+      }
+
+      const coordinatesOnly = parseCoordinates(locationA) && parseCoordinates(locationB);
+      if (!coordinatesOnly) {
+        if (options.offline) {
+          const unresolved = [locationA, locationB].filter(l => !parseCoordinates(l));
+          throw new ValidationError(`--offline needs "lat,long" coordinates; ${unresolved.join(' and ')} would need API resolution`);
+        }
+        requireAuth(options);
+      }
+
+      const [from, to] = await resolvePlaces([locationA, locationB], options);
+      const result = measure(from, to, { method: options.method });
+      const distance = Number((options.unit === 'miles' ? result.km / KM_PER_MILE : result.km).toFixed(3));
+
+      if (options.json) {
+        printJson({
+          status: 'success',
+          data: {
+            distance,
+            unit: options.unit,
+            bearing: Number(result.bearing.toFixed(2)),
+            midpoint: result.midpoint,
+            method: result.method,
+            from: { input: locationA, name: from.name, coordinates: from.coordinates },
+            to: { input: locationB, name: to.name, coordinates: to.coordinates }
+          }
+        });
+        return;
+      }
+
+      const row = {
+        from: locationA,
+        to: locationB,
+        fromCoordinates: from.coordinates,
+        toCoordinates: to.coordinates,
+        distance,
+        unit: options.unit,
+        bearing: Number(result.bearing.toFixed(2)),
+        midpoint: formatCoordinates(result.midpoint, 4),
+        source: result.method
+      };
+
+      printRows([row], [
+        { key: 'from', label: 'From' },
+        { key: 'to', label: 'To' },
+        { key: 'fromCoordinates', label: 'From Coordinates' },
+        { key: 'toCoordinates', label: 'To Coordinates' },
+        { key: 'distance', label: 'Distance' },
+        { key: 'unit', label: 'Unit' },
+        { key: 'bearing', label: 'Bearing' },
+        { key: 'midpoint', label: 'Midpoint' },
+        { key: 'source', label: 'Source' }
+      ], {
+        title: 'Distance',
+        // Long routes are split into up to 64 segments so they curve like the great circle
+        geo: {
+          records: [row],
+          name: () => `${from.name ?? locationA} → ${to.name ?? locationB}`,
+          geometry: () => lineGeometry(greatCirclePath(from, to, Math.min(64, Math.max(1, Math.ceil(result.km / 100)))))
+        },
+        table: () => {
+          console.log(chalk.bold('\nDistance\n'));
+          console.log(`From:     ${chalk.cyan(describeLocation(from))}`);
+          console.log(`To:       ${chalk.cyan(describeLocation(to))}`);
+          console.log(`Distance: ${chalk.green(row.distance)} ${options.unit}`);
+          console.log(`Bearing:  ${chalk.cyan(`${row.bearing}°`)} ${chalk.dim(compassPoint(row.bearing))}`);
+          console.log(`Midpoint: ${chalk.cyan(row.midpoint)}`);
+          console.log(chalk.dim(`\nComputed locally (${row.source})`));
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+distanceCmd
+  .command('matrix')
+  .description('Distances from every origin to every destination')
+  .option('--from <list>', 'Origins: codes, place names or coords, comma-separated (use | or ; with "City, CC")')
+  .option('--to <list>', 'Destinations, same syntax as --from')
+  .option('--from-file <path>', 'Read origins from a file, one per line')
+  .option('--to-file <path>', 'Read destinations from a file, one per line')
+  .option('--sort <order>', 'List pairs by distance (asc or desc)')
+  .option('--nearest', 'Only the nearest destination for each origin')
+  .option('--concurrency <n>', 'Parallel /distance calls for places without coordinates', '4')
+  .action(async (_options, command) => {
+    // --unit, --method, --offline and --json belong to `distance` and are parsed there
+    const options = command.optsWithGlobals();
+
+    try {
+      validateUnit(options.unit, DISTANCE_UNITS, '--unit');
+      if (!['vincenty', 'haversine'].includes(options.method)) {
+        throw new ValidationError('--method must be vincenty or haversine');
+      }
+      if (options.sort && !['asc', 'desc'].includes(options.sort)) {
+        throw new ValidationError('--sort must be asc or desc');
+      }
+      const concurrency = validateInteger(options.concurrency, '--concurrency');
+
+      const fromInputs = [
+        ...splitLocations(options.from),
+        ...(options.fromFile ? readLocationsFile(options.fromFile) : [])
+      ];
+      const toInputs = [
+        ...splitLocations(options.to),
+        ...(options.toFile ? readLocationsFile(options.toFile) : [])
+      ];
+      if (!fromInputs.length || !toInputs.length) {
+        throw new ValidationError('Give origins with --from or --from-file and destinations with --to or --to-file');
+      }
+
+      const inputs = [...fromInputs, ...toInputs];
+      if (!inputs.every(input => parseCoordinates(input))) {
+        if (options.offline) {
+          const unresolved = [...new Set(inputs.filter(input => !parseCoordinates(input)))];
+          throw new ValidationError(`--offline needs "lat,long" coordinates; ${unresolved.join(', ')} would need API resolution`);
+        }
+        requireAuth(options);
+      }
+
+      const origins = await resolveEndpoints(fromInputs, placeOptions(options));
+      const destinations = await resolveEndpoints(toInputs, placeOptions(options));
+      const cells = await withSpinner(`Measuring ${origins.length * destinations.length} pair(s)...`, () =>
+        computeMatrix(origins, destinations, { method: options.method, concurrency })
+      );
+
+      const toUnit = (km) => km === null ? null : Number((options.unit === 'miles' ? km / KM_PER_MILE : km).toFixed(3));
+      let rows = cells.map(cell => ({
+        from: cell.from.input,
+        to: cell.to.input,
+        fromCoordinates: cell.from.coordinates,
+        toCoordinates: cell.to.coordinates,
+        distance: toUnit(cell.km),
+        unit: options.unit,
+        bearing: cell.bearing === null ? null : Number(cell.bearing.toFixed(2)),
+        rank: cell.rank,
+        source: cell.source,
+        error: cell.error
+      }));
+      const nearest = rows.filter(row => row.rank === 1);
+      const failed = rows.filter(row => row.error);
+
+      if (options.nearest) rows = nearest;
+      if (options.sort) {
+        const direction = options.sort === 'desc' ? -1 : 1;
+        rows = [...rows].sort((a, b) => {
+          if (a.distance === null) return 1;
+          if (b.distance === null) return -1;
+          return (a.distance - b.distance) * direction;
+        });
+      }
+
+      if (options.json) {
+        printJson({
+          status: 'success',
+          unit: options.unit,
+          origins: origins.map(p => ({ input: p.input, name: p.name, coordinates: p.coordinates })),
+          destinations: destinations.map(p => ({ input: p.input, name: p.name, coordinates: p.coordinates })),
+          count: rows.length,
+          data: rows,
+          nearest
+        });
+        return;
+      }
+
+      const format = (v) => Number(v).toLocaleString();
+      printRows(rows, [
+        { key: 'from', label: 'From' },
+        { key: 'to', label: 'To' },
+        { key: 'fromCoordinates', label: 'From Coordinates' },
+        { key: 'toCoordinates', label: 'To Coordinates' },
+        { key: 'distance', label: `Distance (${options.unit})`, format },
+        { key: 'unit', label: 'Unit' },
+        { key: 'bearing', label: 'Bearing' },
+        { key: 'rank', label: 'Rank' },
+        { key: 'source', label: 'Source' }
+      ], {
+        title: 'Distance Matrix',
+        // The grid view only applies to the full, unsorted matrix
+        table: options.nearest || options.sort ? undefined : () => {
+          console.log(chalk.bold(`\nDistance Matrix (${options.unit})\n`));
+          const grid = origins.map((origin, i) => {
+            const row = { from: origin.input };
+            destinations.forEach((_, j) => {
+              const cell = rows[i * destinations.length + j];
+              row[`to${j}`] = cell.distance === null ? null : `${format(cell.distance.toFixed(1))}${cell.rank === 1 ? ' *' : ''}`;
+            });
+            return row;
+          });
+          printTable(grid, [
+            { key: 'from', label: 'From \\ To' },
+            ...destinations.map((destination, j) => ({ key: `to${j}`, label: destination.input }))
+          ]);
+
+          console.log(chalk.bold('\nNearest destination (*)\n'));
+          nearest.forEach(row => {
+            console.log(`${row.from.padEnd(12)} → ${chalk.cyan(row.to.padEnd(12))} ${chalk.green(format(row.distance))} ${options.unit}`);
+          });
+          console.log('');
+        }
+      });
+
+      failed.forEach(row => console.error(chalk.yellow(`⚠ No distance for ${row.from} → ${row.to}: ${row.error}`)));
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// SUN POSITIONS
+// ============================================================
+
+const sunCmd = program
+  .command('sun <location>')
+  .description('Get solar cycle data (sunrise, sunset, etc.) for a location')
+  .option('--date <date>', 'Date (YYYY-MM-DD)')
+  .option('--json', 'Output as JSON')
+  .action(async (location, options) => {
+    requireAuth(options);
+
+    try {
+      const [place] = await resolvePlaces([location], options);
+      const data = await withSpinner('Fetching sun positions...', () =>
+        getSunPositions(place.coordinates, options.date)
+      );
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const sunData = data.data || {};
+      const row = { location, coordinates: place.coordinates, ...sunData };
+
+      printRows([row], [
+        { key: 'location', label: 'Location' },
+        { key: 'coordinates', label: 'Coordinates' },
+        ...Object.keys(sunData).map(key => ({ key, label: key }))
+      ], {
+        title: `Sun Positions for ${describeLocation(place)}`,
+        table: () => {
+          console.log(chalk.bold(`\nSun Positions for ${describeLocation(place)}\n`));
+          Object.entries(sunData).forEach(([key, value]) => {
+            console.log(`${key.padEnd(20)} ${chalk.cyan(value)}`);
+          });
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+sunCmd
+  .command('calendar <location>')
+  .description('Sunrise, sunset, day length and golden hour for every day in a range')
+  .option('--from <date>', 'First day (YYYY-MM-DD, default today)')
+  .option('--to <date>', 'Last day (YYYY-MM-DD, default 6 days after --from)')
+  .option('--ics <file>', 'Also write the days to an iCalendar (.ics) file')
+  .option('--events <list>', 'Events in the .ics file: sunrise, sunset, daylight, golden-hour', 'daylight,golden-hour')
+  .option('--concurrency <n>', 'Days fetched in parallel', '4')
+  .action(async (location, _options, command) => {
+    // --json belongs to `sun` and is parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      const concurrency = validateInteger(options.concurrency, '--concurrency');
+      const from = validateDate(options.from || new Date().toISOString().slice(0, 10), '--from');
+      const to = options.to || new Date(Date.parse(`${from}T00:00:00Z`) + 6 * 86400000).toISOString().slice(0, 10);
+      // Fail on bad input before any request is made
+      dateRange(from, to);
+      const events = parseEvents(options.events);
+
+      const [place] = await resolvePlaces([location], options);
+      const spinner = ora('Fetching sun positions...').start();
+      let days;
+      let timezone = null;
+      try {
+        days = await sunCalendar(place.coordinates, {
+          from,
+          to,
+          concurrency,
+          onProgress: (done, total) => { spinner.text = `Fetching sun positions ${done}/${total}...`; }
+        });
+        if (options.ics) {
+          timezone = (await getTimezone(place.coordinates)).data?.timezone ?? null;
+        }
+      } finally {
+        spinner.stop();
+      }
+
+      if (options.ics) {
+        writeFileSync(options.ics, toIcs(days, {
+          name: place.name || place.coordinates,
+          uidSuffix: place.coordinates,
+          timezone,
+          events
+        }));
+        const note = `Wrote ${days.length} day(s) to ${options.ics}${timezone ? ` (${timezone})` : ''}`;
+        if (!options.json && program.opts().format === 'table') {
+          printSuccess(note);
+        } else {
+          console.error(chalk.dim(note));
+        }
+      }
+
+      if (options.json) {
+        printJson({ status: 'success', location: place, from, to, count: days.length, data: days });
+        return;
+      }
+
+      printRows(days, [
+        { key: 'date', label: 'Date' },
+        { key: 'sunrise', label: 'Sunrise' },
+        { key: 'sunset', label: 'Sunset' },
+        { key: 'day_length', label: 'Day Length' },
+        { key: 'golden_hour', label: 'Golden Hour' },
+        { key: 'solar_noon', label: 'Solar Noon' }
+      ], { title: `Sun Calendar for ${describeLocation(place)}` });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// TIMEZONE
+// ============================================================
+
+const timezoneCmd = program
+  .command('timezone <location>')
+  .description('Get timezone and current time for a location')
+  .option('--json', 'Output as JSON')
+  .action(async (location, options) => {
+    requireAuth(options);
+
+    try {
+      const [place] = await resolvePlaces([location], options);
+      const data = await withSpinner('Fetching timezone...', () => getTimezone(place.coordinates));
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      const row = {
+        location,
+        coordinates: place.coordinates,
+        timezone: data.data?.timezone ?? null,
+        current_time: data.data?.current_time ?? null
+      };
+
+      printRows([row], [
+        { key: 'location', label: 'Location' },
+        { key: 'coordinates', label: 'Coordinates' },
+        { key: 'timezone', label: 'Timezone' },
+        { key: 'current_time', label: 'Current Time' }
+      ], {
+        title: `Timezone for ${describeLocation(place)}`,
+        table: () => {
+          console.log(chalk.bold(`\nTimezone for ${describeLocation(place)}\n`));
+          console.log(`Timezone:      ${chalk.cyan(row.timezone ?? 'N/A')}`);
+          console.log(`Current time:  ${chalk.green(row.current_time ?? 'N/A')}`);
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+timezoneCmd
+  .command('compare <locations...>')
+  .description('Local time, UTC offset and DST side by side for several places')
+  .option('--at <when>', 'Convert an instant instead of now ("2026-11-03 09:00 Europe/Paris")')
+  .option('--working-hours [range]', 'Show overlapping working hours, Monday to Friday (default 09:00-17:00)')
+  .action(async (locations, _options, command) => {
+    // --json belongs to `timezone` and is parsed there
+    const options = command.optsWithGlobals();
+    requireAuth(options);
+
+    try {
+      const hours = options.workingHours
+        ? parseHoursRange(options.workingHours === true ? '09:00-17:00' : options.workingHours)
+        : null;
+      // Check the syntax now; the zone it is read in is only known after the lookups
+      if (options.at) parseInstant(options.at);
+
+      const places = await resolvePlaces(locations, options);
+      const zones = await withSpinner('Fetching timezones...', () =>
+        Promise.all(places.map(async place => (await getTimezone(place.coordinates)).data?.timezone ?? null))
+      );
+      zones.forEach((zone, i) => {
+        if (!zone) throw new NotFoundError(`No timezone found for ${places[i].input}`);
+        if (!isValidTimeZone(zone)) throw new ValidationError(`Unknown timezone "${zone}" for ${places[i].input}`);
+      });
+
+      // Without an explicit zone, --at is read in the first place's timezone
+      const at = options.at ? parseInstant(options.at, zones[0]) : new Date();
+      const clocks = zones.map(zone => clockAt(zone, at));
+      const rows = places.map((place, i) => ({
+        location: place.input,
+        name: place.name,
+        coordinates: place.coordinates,
+        ...clocks[i],
+        difference: formatShift(clocks[i].offsetMinutes - clocks[0].offsetMinutes),
+        working: hours ? isWorkingTime(zones[i], at, hours) : null
+      }));
+      const overlap = hours ? workingOverlap(zones, at, hours) : null;
+      const localWindow = (window, zone) => `${zonedParts(zone, window.start).time}–${zonedParts(zone, window.end).time}`;
+
+      if (options.json) {
+        printJson({
+          status: 'success',
+          at: at.toISOString(),
+          count: rows.length,
+          data: rows.map(({ offsetMinutes, ...row }) => row),
+          overlap: overlap && {
+            workingHours: options.workingHours === true ? '09:00-17:00' : options.workingHours,
+            windows: overlap.windows.map(window => ({
+              start: window.start.toISOString(),
+              end: window.end.toISOString(),
+              local: Object.fromEntries(places.map((place, i) => [place.input, localWindow(window, zones[i])]))
+            }))
+          }
+        });
+        return;
+      }
+
+      const yesNo = (v) => v ? 'yes' : 'no';
+      const columns = [
+        { key: 'location', label: 'Location' },
+        { key: 'name', label: 'Place' },
+        { key: 'timezone', label: 'Timezone' },
+        { key: 'date', label: 'Date' },
+        { key: 'weekday', label: 'Day' },
+        { key: 'time', label: 'Time' },
+        { key: 'offset', label: 'Offset' },
+        { key: 'dst', label: 'DST', format: yesNo },
+        { key: 'difference', label: 'Diff' },
+        ...(hours ? [{ key: 'working', label: 'Working', format: yesNo }] : [])
+      ];
+
+      printRows(rows, columns, {
+        title: 'World Clock',
+        table: () => {
+          const when = options.at ? `at ${options.at}` : 'now';
+          console.log(chalk.bold(`\nWorld Clock (${when}, ${at.toISOString().slice(0, 16).replace('T', ' ')} UTC)\n`));
+          printTable(rows, columns);
+          if (!overlap) {
+            console.log('');
+            return;
+          }
+
+          // One cell per hour of the first place's day; green where everyone is working
+          const label = (place) => place.input.padEnd(12).slice(0, 12);
+          const ruler = Array(24).fill(' ');
+          [0, 6, 12, 18].forEach(h => String(h).split('').forEach((digit, i) => { ruler[h + i] = digit; }));
+          const shared = Array.from({ length: 24 }, (_, h) => overlap.hourly.every(zone => zone[h]));
+          console.log(chalk.bold(`\nWorking hours (${zones[0]} day)\n`));
+          console.log(`${' '.repeat(13)}${chalk.dim(ruler.join(''))}`);
+          places.forEach((place, i) => {
+            const cells = overlap.hourly[i].map((working, h) => {
+              if (!working) return chalk.dim('·');
+              return shared[h] ? chalk.green('█') : '▒';
+            });
+            console.log(`${label(place)} ${cells.join('')}`);
+          });
+
+          console.log('');
+          if (!overlap.windows.length) {
+            console.log(chalk.yellow('No overlapping working hours on this day.'));
+          }
+          overlap.windows.forEach(window => {
+            const local = places.map((place, i) => `${place.input} ${localWindow(window, zones[i])}`).join(', ');
+            console.log(`${chalk.green('Overlap:')} ${local}`);
+          });
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// TRIP
+// ============================================================
+
+const tripCmd = program.command('trip').description('Plan multi-leg trips');
+
+tripCmd
+  .command('plan <stops...>')
+  .description('Distance, timezones and clock change for each leg of a trip (airport codes, places or coords)')
+  .option('--unit <unit>', 'Unit (kms or miles)', 'kms')
+  .option('--date <date>', 'Travel date for DST-aware offsets (YYYY-MM-DD)')
+  .option('--json', 'Output as JSON')
+  .action(async (stops, options) => {
+    requireAuth(options);
+
+    try {
+      validateUnit(options.unit, DISTANCE_UNITS, '--unit');
+      const date = options.date ? new Date(`${validateDate(options.date, '--date')}T12:00:00Z`) : new Date();
+
+      const places = await resolvePlaces(stops, options);
+      const trip = await withSpinner(`Planning ${stops.length - 1} leg(s)...`, () => planTrip(places, { date }));
+
+      if (options.json) {
+        printJson(trip);
+        return;
+      }
+
+      const toUnit = (km) => Math.round((options.unit === 'miles' ? km / KM_PER_MILE : km) * 10) / 10;
+      const tableData = trip.legs.map(leg => ({
+        leg: leg.leg,
+        from: leg.from,
+        to: leg.to,
+        distance: toUnit(leg.km),
+        fromTimezone: leg.fromTimezone,
+        toTimezone: leg.toTimezone,
+        shift: leg.shiftMinutes === null ? null : formatShift(leg.shiftMinutes),
+        co2: Math.round(leg.co2Kg)
+      }));
+
+      printRows(tableData, [
+        { key: 'leg', label: '#' },
+        { key: 'from', label: 'From' },
+        { key: 'to', label: 'To' },
+        { key: 'distance', label: `Distance (${options.unit})`, format: (v) => Number(v).toLocaleString() },
+        { key: 'fromTimezone', label: 'Origin TZ' },
+        { key: 'toTimezone', label: 'Destination TZ' },
+        { key: 'shift', label: 'Clock Change' },
+        { key: 'co2', label: 'CO2 (kg)' }
+      ], { title: `Trip ${stops.join(' → ')}` });
+
+      if (program.opts().format === 'table') {
+        const { summary } = trip;
+        console.log('');
+        console.log(`Total distance:  ${chalk.green(toUnit(summary.km).toLocaleString())} ${options.unit}`);
+        console.log(`Estimated CO2:   ${chalk.green(Math.round(summary.co2Kg).toLocaleString())} kg per passenger`);
+        console.log(`Time shift:      ${chalk.cyan(summary.shiftMinutes === null ? 'N/A' : formatShift(summary.shiftMinutes))}`);
+        console.log('');
+      }
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// BATCH
+// ============================================================
+
+program
+  .command('batch <command>')
+  .description(`Run a lookup for every row of a CSV/JSONL file (${Object.keys(BATCH_COMMANDS).join(', ')})`)
+  .requiredOption('--input <file>', 'Input file (.csv, .tsv or .jsonl)')
+  .option('--output <file>', 'Write results to a file instead of stdout')
+  .option('--output-format <format>', 'Output format (csv or jsonl), defaults to the output or input file type')
+  .option('--map <mapping>', 'Map arguments to input columns (e.g. locationA=origin,locationB=dest)')
+  .option('--concurrency <n>', 'Lookups in flight at once', '4')
+  .option('--unit <unit>', 'Unit for distance (kms, miles) or elevation (meters, feet)')
+  .action(async (command, options) => {
+    requireAuth(options);
+
+    try {
+      if (!BATCH_COMMANDS[command]) {
+        throw new ValidationError(`Unknown batch command "${command}". Use one of: ${Object.keys(BATCH_COMMANDS).join(', ')}`);
+      }
+
+      const concurrency = validateInteger(options.concurrency, '--concurrency');
+      if (options.unit !== undefined) {
+        const { units } = BATCH_COMMANDS[command];
+        if (!units) throw new ValidationError(`batch ${command} does not take --unit`);
+        validateUnit(options.unit, units, '--unit');
+      }
+
+      const typeFrom = (file) => ['.jsonl', '.ndjson'].includes(extname(file || '').toLowerCase()) ? 'jsonl' : 'csv';
+      const format = options.outputFormat || (options.output ? typeFrom(options.output) : typeFrom(options.input));
+      if (!['csv', 'jsonl'].includes(format)) {
+        throw new ValidationError('--output-format must be csv or jsonl');
+      }
+
+      let records;
+      try {
+        records = readInput(options.input);
+      } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new ValidationError(`Cannot read ${options.input}: ${error.message}`);
+      }
+
+      const spinner = ora(`Processing 0/${records.length} rows...`).start();
+      let results;
+      try {
+        results = await runBatch(command, records, {
+          concurrency,
+          unit: options.unit,
+          mapping: parseMapping(options.map),
+          onProgress: (done, total) => { spinner.text = `Processing ${done}/${total} rows...`; }
+        });
+      } finally {
+        spinner.stop();
+      }
+
+      const output = formatBatchOutput(results, format);
+      if (options.output) {
+        writeFileSync(options.output, output);
+      } else {
+        process.stdout.write(output);
+      }
+
+      const failed = results.filter(row => row.error).length;
+      const summary = `${results.length - failed} succeeded, ${failed} failed`;
+      if (options.output) {
+        printSuccess(`Wrote ${results.length} row(s) to ${options.output} (${summary})`);
+      } else {
+        console.error(chalk.dim(summary));
+      }
+      // The output is complete either way; the exit code tells scripts some rows need a look
+      if (failed) process.exitCode = EXIT_CODES.GENERAL;
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+program
+  .command('mock')
+  .description('Run a local mock of the API that answers from fixture files')
+  .option('--port <port>', 'Port to listen on', '8787')
+  .option('--host <host>', 'Host to bind', '127.0.0.1')
+  .option('--fixtures <dir>', 'Fixture directory (repeatable, first wins; bundled fixtures are always the fallback)', (dir, dirs) => [...dirs, dir], [])
+  .option('--api-key <key>', 'Require this API key (default: accept any non-empty key)')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    const port = parseInt(options.port, 10);
+    if (Number.isNaN(port) || port < 0 || port > 65535) {
+      handleError(new ValidationError('--port must be a number between 0 and 65535'));
+    }
+
+    const server = createMockServer({
+      fixtures: [...options.fixtures, BUNDLED_FIXTURES],
+      apiKey: options.apiKey,
+      onRequest: options.quiet ? undefined : ({ method, endpoint, params, status, source }) => {
+        const query = new URLSearchParams(params).toString();
+        const color = status >= 400 ? chalk.red : chalk.green;
+        console.error(`${color(status)} ${method} ${endpoint}${query ? `?${query}` : ''} ${chalk.dim(source)}`);
+      }
+    });
+
+    server.on('error', (error) => handleError(new ValidationError(`Cannot start mock server: ${error.message}`)));
+    server.listen(port, options.host, () => {
+      const { port: bound } = server.address();
+      printSuccess(`Mock API listening on http://${options.host}:${bound}`);
+      console.log(chalk.dim(`Point the CLI at it with --base-url http://${options.host}:${bound} or MONVOYAGEPASCHER_BASE_URL`));
+    });
+  });
+
+// ============================================================
+// PROXY SERVER
+// ============================================================
+
+program
+  .command('serve')
+  .description('Run a local REST proxy for the API that adds the configured key server-side')
+  .option('--port <port>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Host to bind (0.0.0.0 in a container)', '127.0.0.1')
+  .option('--cors <origins>', 'Browser origins allowed to call the proxy, comma-separated, or * for any')
+  .option('--client-rate <n>', 'Requests per minute per client, 0 for unlimited', String(DEFAULT_CLIENT_RATE))
+  .option('--trust-proxy', 'Identify clients by X-Forwarded-For (behind a reverse proxy)')
+  .option('--quiet', 'Do not log requests')
+  .action((options) => {
+    requireAuth(options);
+
+    try {
+      const port = validateInteger(options.port, '--port', { min: 0, max: 65535 });
+      const clientRate = validateInteger(options.clientRate, '--client-rate', { min: 0 });
+      const cors = (options.cors || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+      const server = createProxyServer({
+        client: {
+          searchAirports,
+          findCitiesFromLatLong,
+          findCitiesFromText,
+          getSignificantCities,
+          getCountries,
+          getContinents,
+          getElevation,
+          getDistance,
+          getSunPositions,
+          getTimezone,
+          ping
+        },
+        cors,
+        rateLimit: clientRate,
+        trustProxy: options.trustProxy,
+        onRequest: options.quiet ? undefined : ({ method, endpoint, query, status, client, ms, note }) => {
+          const color = status >= 400 ? chalk.red : chalk.green;
+          const detail = note ? ` ${chalk.yellow(note)}` : '';
+          console.error(`${color(status)} ${method} ${endpoint}${query} ${chalk.dim(`${ms}ms ${client}`)}${detail}`);
+        }
+      });
+
+      server.on('error', (error) => handleError(new ValidationError(`Cannot start proxy server: ${error.message}`)));
+      server.listen(port, options.host, () => {
+        const { port: bound } = server.address();
+        printSuccess(`API proxy listening on http://${options.host}:${bound}`);
+        console.log(chalk.dim(`CORS: ${cors.length ? cors.join(', ') : 'same-origin only'} · ${clientRate ? `${clientRate} requests/min per client` : 'no per-client limit'}`));
+      });
+
+      // Let a container stop the proxy cleanly
+      const stop = () => server.close(() => process.exit(0));
+      process.once('SIGTERM', stop);
+      process.once('SIGINT', stop);
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// MCP SERVER
+// ============================================================
+
+program
+  .command('mcp')
+  .description('Run a Model Context Protocol server on stdio that exposes the API as tools')
+  .option('--quiet', 'Do not log tool calls to stderr')
+  .action(async (options) => {
+    requireAuth(options);
+
+    // stdout carries the protocol, so everything else goes to stderr
+    const server = createMcpServer({
+      client: {
+        searchAirports,
+        findCitiesFromText,
+        findCitiesFromLatLong,
+        getSignificantCities,
+        getCountries,
+        getContinents,
+        getElevation,
+        getDistance,
+        getSunPositions,
+        getTimezone
+      },
+      version: program.version(),
+      onCall: options.quiet ? undefined : ({ tool, ok, ms }) => {
+        console.error(`${ok ? chalk.green('ok') : chalk.red('error')} ${tool} ${chalk.dim(`${ms}ms`)}`);
+      }
+    });
+
+    if (!options.quiet) console.error(chalk.dim(`MCP server ready on stdio (${MCP_TOOLS.length} tools)`));
+    await server.listen();
+  });
+
+// ============================================================
+// SHELL COMPLETION
+// ============================================================
+
+program
+  .command('completion <shell>')
+  .description(`Print a completion script for ${COMPLETION_SHELLS.join(', ')} (e.g. source <(monvoyagepascher completion bash))`)
+  .action((shell) => {
+    try {
+      process.stdout.write(completionScript(shell, program));
+    } catch (error) {
+      handleError(error);
+    }
+  });
+
+// Called by the completion scripts for values that are not known up front
+program
+  .command('__complete <kind>', { hidden: true })
+  .action(async (kind) => {
+    const values = await completionValues(kind).catch(() => []);
+    if (values.length) console.log(values.join('\n'));
+  });
+
+// ============================================================
+// PING
+// ============================================================
+
+program
+  .command('ping')
+  .description('Health check - verify API connectivity')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth(options);
+
+    try {
+      const data = await withSpinner('Pinging API...', () => ping());
+
+      if (options.json) {
+        printJson(data);
+        return;
+      }
+
+      printRows([{ status: data.status ?? 'success', message: data.message || 'pong' }], [
+        { key: 'status', label: 'Status' },
+        { key: 'message', label: 'Message' }
+      ], {
+        table: () => {
+          printSuccess('API is responding');
+          console.log(chalk.dim(`Message: ${data.message || 'pong'}`));
+          console.log('');
+        }
+      });
+    } catch (error) {
+      handleError(error, options);
+    }
+  });
+
+// ============================================================
+// Parse
+// ============================================================
+
+program.parse(process.argv);
+
+if (process.argv.length <= 2) {
+  program.help();
+}
@@ -0,0 +1,416 @@
+import { createClient, ValidationError, DEFAULT_BASE_URL } from './api.js';
+import { diskCache, listCached, cacheScope } from './cache.js';
+import { getConfig, listProfiles } from './config.js';
+import { BATCH_COMMANDS } from './batch.js';
+import { OUTPUT_FORMATS } from './format.js';
+import { ICS_EVENTS } from './sun.js';
+import { SUPPORTED_LANGUAGES, DISTANCE_UNITS, ELEVATION_UNITS } from './validate.js';
+
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'];
+
+// Values looked up when a completion script asks for them (`__complete <kind>`)
+export const COMPLETION_KINDS = ['countries', 'continents', 'airports', 'profiles'];
+
+// A value lookup must not hold up the prompt
+const LOOKUP_TIMEOUT = 3000;
+
+/**
+ * Values completed after an option or for a positional argument. Keys are a
+ * flag, an <argument> or an option's <placeholder>, optionally prefixed with
+ * a command path; the longest matching path wins. "@kind" entries are looked
+ * up at completion time: a COMPLETION_KINDS lookup, or file/directory names.
+ */
+export const COMPLETION_VALUES = {
+  '--country': '@countries',
+  '--language': SUPPORTED_LANGUAGES,
+  '--languages': SUPPORTED_LANGUAGES,
+  '--format': OUTPUT_FORMATS,
+  '--profile': '@profiles',
+  '--location': '@airports',
+  '--unit': DISTANCE_UNITS,
+  '--method': ['vincenty', 'haversine'],
+  '--sort': ['asc', 'desc'],
+  '--events': ICS_EVENTS,
+  'elevation --unit': ELEVATION_UNITS,
+  'elevation profile --output-format': ['csv', 'geojson'],
+  'batch --unit': [...DISTANCE_UNITS, ...ELEVATION_UNITS],
+  'batch --output-format': ['csv', 'jsonl'],
+  'airports pick --output': ['coords', 'iata', 'json'],
+  'cities pick --output': ['coords', 'json'],
+  '<file>': '@file',
+  '<path>': '@file',
+  '<dir>': '@dir',
+  'countries <code>': '@countries',
+  'continents <code>': '@continents',
+  '<location>': '@airports',
+  '<locationA>': '@airports',
+  '<locationB>': '@airports',
+  '<place>': '@airports',
+  '<stops>': '@airports',
+  'elevation profile <from>': '@airports',
+  'elevation profile <to>': '@airports',
+  'timezone compare <locations>': '@airports',
+  'batch <command>': Object.keys(BATCH_COMMANDS),
+  'completion <shell>': COMPLETION_SHELLS,
+  'config profile use <name>': '@profiles',
+  'config profile remove <name>': '@profiles'
+};
+
+// ============================================================
+// Command tree
+// ============================================================
+
+function line(value, description) {
+  return description ? `${value}\t${description}` : value;
+}
+
+function flagsOf(option) {
+  return [option.long, option.short].filter(Boolean);
+}
+
+function valuesFor(path, keys) {
+  const words = path ? path.split(' ') : [];
+  for (let depth = words.length; depth >= 0; depth--) {
+    const prefix = words.slice(0, depth).join(' ');
+    for (const key of keys) {
+      const spec = COMPLETION_VALUES[prefix ? `${prefix} ${key}` : key];
+      if (spec) return typeof spec === 'string' ? [spec] : spec.map(value => line(value));
+    }
+  }
+  return null;
+}
+
+/**
+ * Flatten a commander program into completion table entries, keyed by
+ * command path ("" for the program, "cities search", ...):
+ *
+ *   sub:<path>           subcommands, "name\tdescription" per line
+ *   opt:<path>           options, including those inherited from parents
+ *   takes:<path>         options that take a value
+ *   val:<path> <flag>    values for an option
+ *   arg:<path> #<n>      values for the nth positional argument (#* when variadic)
+ *
+ * @returns {Array<[string, string[]]>}
+ */
+export function completionTable(program) {
+  const entries = [];
+
+  function walk(command, path, inherited) {
+    const help = command.createHelp();
+    const own = help.visibleOptions(command);
+    const options = [...own, ...inherited.filter(option => !own.some(mine => mine.long === option.long))];
+    const subcommands = help.visibleCommands(command).filter(sub => !sub.name().startsWith('_'));
+    const add = (key, lines) => lines?.length && entries.push([key, lines]);
+
+    add(`sub:${path}`, subcommands.map(sub => line(sub.name(), sub.description())));
+    add(`opt:${path}`, options.flatMap(option => flagsOf(option).map(flag => line(flag, option.description))));
+
+    const valued = options.filter(option => option.required || option.optional);
+    add(`takes:${path}`, valued.flatMap(flagsOf));
+    for (const option of valued) {
+      const placeholder = option.flags.match(/[<[]([\w-]+)/)?.[1];
+      const values = valuesFor(path, [option.long, `<${placeholder}>`]);
+      flagsOf(option).forEach(flag => add(`val:${path} ${flag}`, values));
+    }
+
+    command.registeredArguments.forEach((argument, i) => {
+      add(`arg:${path} #${argument.variadic ? '*' : i}`, valuesFor(path, [`<${argument.name()}>`]));
+    });
+
+    const passed = options.filter(option => option.long !== '--help' && option.long !== '--version');
+    subcommands.forEach(sub => walk(sub, path ? `${path} ${sub.name()}` : sub.name(), passed));
+  }
+
+  walk(program, '', []);
+  return entries;
+}
+
+// ============================================================
+// Scripts
+// ============================================================
+
+const shQuote = (text) => `'${text.replace(/'/g, `'\\''`)}'`;
+const fishQuote = (text) => `'${text.replace(/[\\']/g, '\\$&')}'`;
+
+function shTable(fn, entries) {
+  const cases = entries.map(([key, lines]) =>
+    `    ${shQuote(key)})\n      printf '%s\\n' \\\n${lines.map(value => `        ${shQuote(value)}`).join(' \\\n')}\n      ;;`
+  );
+  return `${fn}_table() {\n  case "$1" in\n${cases.join('\n')}\n    *) return 1 ;;\n  esac\n}`;
+}
+
+// Shared by bash and zsh: print a table entry, looking up "@kind" values
+// through the CLI itself; returns 2 for file names and 3 for directories
+function shCandidates(fn) {
+  return `${fn}_candidates() {
+  local lines
+  lines=$(${fn}_table "$2") || return 1
+  case "$lines" in
+    @file) return 2 ;;
+    @dir) return 3 ;;
+    @*) "$1" __complete "\${lines#@}" 2>/dev/null ;;
+    *) printf '%s\\n' "$lines" ;;
+  esac
+}`;
+}
+
+function bashScript(name, fn, entries) {
+  return `# bash completion for ${name}
+# Load it with: source <(${name} completion bash)
+
+${shTable(fn, entries)}
+
+${shCandidates(fn)}
+
+${fn}() {
+  local cur=\${COMP_WORDS[COMP_CWORD]} cmdpath="" option="" word candidates ret i n=0
+  for ((i = 1; i < COMP_CWORD; i++)); do
+    word=\${COMP_WORDS[i]}
+    if [[ $word == -* ]]; then
+      # Step over the value of an option that takes one
+      if ${fn}_table "takes:$cmdpath" | grep -qxF -- "$word"; then
+        ((i + 1 == COMP_CWORD)) && option=$word
+        ((i++))
+      fi
+    elif ${fn}_table "sub:$cmdpath" | cut -f1 | grep -qxF -- "$word"; then
+      cmdpath=\${cmdpath:+$cmdpath }$word
+    else
+      ((n++))
+    fi
+  done
+
+  if [[ -n $option ]]; then
+    candidates=$(${fn}_candidates "\${COMP_WORDS[0]}" "val:$cmdpath $option")
+    ret=$?
+    if ((ret == 2 || ret == 3)); then
+      compopt -o filenames 2>/dev/null
+      if ((ret == 2)); then COMPREPLY=($(compgen -f -- "$cur")); else COMPREPLY=($(compgen -d -- "$cur")); fi
+      return
+    fi
+  elif [[ $cur == -* ]]; then
+    candidates=$(${fn}_table "opt:$cmdpath")
+  else
+    candidates=$(
+      ((n == 0)) && ${fn}_table "sub:$cmdpath"
+      ${fn}_candidates "\${COMP_WORDS[0]}" "arg:$cmdpath #$n" || ${fn}_candidates "\${COMP_WORDS[0]}" "arg:$cmdpath #*"
+    )
+  fi
+
+  local IFS=$'\\n'
+  COMPREPLY=($(compgen -W "$(cut -f1 <<< "$candidates")" -- "$cur"))
+}
+
+complete -F ${fn} ${name}
+`;
+}
+
+function zshScript(name, fn, entries) {
+  return `#compdef ${name}
+# zsh completion for ${name}
+# Load it with: source <(${name} completion zsh), or save it as _${name} in your $fpath
+
+${shTable(fn, entries)}
+
+${shCandidates(fn)}
+
+${fn}() {
+  local cmdpath="" option="" word out ret i n=0
+  local -a lines
+  for ((i = 2; i < CURRENT; i++)); do
+    word=\${words[i]}
+    if [[ $word == -* ]]; then
+      # Step over the value of an option that takes one
+      if ${fn}_table "takes:$cmdpath" | grep -qxF -- "$word"; then
+        ((i + 1 == CURRENT)) && option=$word
+        ((i++))
+      fi
+    elif ${fn}_table "sub:$cmdpath" | cut -f1 | grep -qxF -- "$word"; then
+      cmdpath=\${cmdpath:+$cmdpath }$word
+    else
+      ((n++))
+    fi
+  done
+
+  if [[ -n $option ]]; then
+    out=$(${fn}_candidates "\${words[1]}" "val:$cmdpath $option")
+    ret=$?
+    ((ret == 2)) && { _files; return }
+    ((ret == 3)) && { _files -/; return }
+  elif [[ \${words[CURRENT]} == -* ]]; then
+    out=$(${fn}_table "opt:$cmdpath")
+  else
+    out=$(
+      ((n == 0)) && ${fn}_table "sub:$cmdpath"
+      ${fn}_candidates "\${words[1]}" "arg:$cmdpath #$n" || ${fn}_candidates "\${words[1]}" "arg:$cmdpath #*"
+    )
+  fi
+
+  [[ -n $out ]] || return 1
+  lines=("\${(@f)out}")
+  lines=("\${(@)lines//:/\\\\:}")
+  lines=("\${(@)lines//$'\\t'/:}")
+  _describe -t values value lines
+}
+
+if [[ $funcstack[1] == ${fn} ]]; then
+  ${fn} "$@"
+else
+  compdef ${fn} ${name}
+fi
+`;
+}
+
+function fishScript(name, fn, entries) {
+  const cases = entries.map(([key, lines]) =>
+    `        case ${fishQuote(key)}\n            printf '%s\\n' ${lines.map(fishQuote).join(' ')}`
+  );
+
+  return `# fish completion for ${name}
+# Load it with: ${name} completion fish | source
+
+function ${fn}_table
+    switch $argv[1]
+${cases.join('\n')}
+        case '*'
+            return 1
+    end
+end
+
+function ${fn}_candidates
+    set -l lines (${fn}_table $argv[2]); or return 1
+    switch "$lines[1]"
+        case '@file'
+            __fish_complete_path (commandline -ct)
+        case '@dir'
+            __fish_complete_directories (commandline -ct)
+        case '@*'
+            $argv[1] __complete (string sub -s 2 -- $lines[1]) 2>/dev/null
+        case '*'
+            printf '%s\\n' $lines
+    end
+end
+
+function ${fn}
+    set -l tokens (commandline -opc)
+    set -l cmdpath ''
+    set -l option ''
+    set -l n 0
+    set -l i 2
+    while test $i -le (count $tokens)
+        set -l word $tokens[$i]
+        if string match -q -- '-*' $word
+            # Step over the value of an option that takes one
+            if contains -- $word (${fn}_table "takes:$cmdpath")
+                test $i -eq (count $tokens); and set option $word
+                set i (math $i + 1)
+            end
+        else if contains -- $word (${fn}_table "sub:$cmdpath" | string replace -r '\\t.*' '')
+            set cmdpath (string trim -- "$cmdpath $word")
+        else
+            set n (math $n + 1)
+        end
+        set i (math $i + 1)
+    end
+
+    if test -n "$option"
+        ${fn}_candidates $tokens[1] "val:$cmdpath $option"
+    else if string match -q -- '-*' (commandline -ct)
+        ${fn}_table "opt:$cmdpath"
+    else
+        test $n -eq 0; and ${fn}_table "sub:$cmdpath"
+        ${fn}_candidates $tokens[1] "arg:$cmdpath #$n"; or ${fn}_candidates $tokens[1] "arg:$cmdpath #*"
+    end
+end
+
+complete -c ${name} -f -a '(${fn})'
+`;
+}
+
+/**
+ * Completion script for a shell. Commands and options are written into the
+ * script; countries, continents, cached airports and profiles are looked up
+ * through `<name> __complete <kind>` when completing.
+ */
+export function completionScript(shell, program) {
+  const name = program.name();
+  const fn = `_${name.replace(/\W/g, '_')}`;
+  const entries = completionTable(program);
+
+  switch (shell) {
+    case 'bash': return bashScript(name, fn, entries);
+    case 'zsh': return zshScript(name, fn, entries);
+    case 'fish': return fishScript(name, fn, entries);
+    default:
+      throw new ValidationError(`Unsupported shell "${shell}". Use one of: ${COMPLETION_SHELLS.join(', ')}`);
+  }
+}
+
+// ============================================================
+// Value lookups
+// ============================================================
+
+function uniqueLines(records, valueOf, descriptionOf) {
+  const seen = new Map();
+  for (const record of records) {
+    const value = valueOf(record);
+    if (value && !seen.has(value)) seen.set(value, line(value, descriptionOf(record)));
+  }
+  return [...seen.keys()].sort().map(value => seen.get(value));
+}
+
+/**
+ * Records from every cached response of an endpoint for the configured API
+ */
+function cachedData(endpoint) {
+  const scope = cacheScope(getConfig('baseUrl') || DEFAULT_BASE_URL, getConfig('apiKey'));
+  return listCached(endpoint, scope).flatMap(data => data?.data || []);
+}
+
+/**
+ * Records from every cached response of an endpoint. On a miss the listing
+ * is fetched once (no retries, short timeout) when an API key is configured,
+ * which also caches it for the next completion.
+ */
+async function cachedRecords(endpoint, fetch) {
+  const cached = cachedData(endpoint);
+  if (cached.length || !getConfig('apiKey')) return cached;
+
+  const client = createClient({
+    apiKey: getConfig('apiKey'),
+    baseUrl: getConfig('baseUrl'),
+    language: getConfig('language'),
+    cache: diskCache,
+    timeout: LOOKUP_TIMEOUT,
+    retries: 0
+  });
+  try {
+    return (await fetch(client)).data || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Completion values for a COMPLETION_KINDS lookup, as "value\tdescription" lines
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function completionValues(kind) {
+  switch (kind) {
+    case 'countries':
+      return uniqueLines(await cachedRecords('/countries', client => client.getCountries()), country => country.cca2, country => country.name);
+    case 'continents':
+      return uniqueLines(await cachedRecords('/continents', client => client.getContinents()), continent => continent.code, continent => continent.name);
+    case 'airports':
+      // Only airports already seen; searching for them would need a location
+      return uniqueLines(
+        cachedData('/airports'),
+        airport => airport.iata_code,
+        airport => [airport.name, airport.municipality].filter(Boolean).join(', ')
+      );
+    case 'profiles':
+      return listProfiles().map(profile => line(profile));
+    default:
+      throw new ValidationError(`Unknown completion lookup "${kind}". Use one of: ${COMPLETION_KINDS.join(', ')}`);
+  }
+}
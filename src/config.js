@@ -1,37 +1,278 @@
 import Conf from 'conf';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { ValidationError } from './api.js';
 
-const config = new Conf({
+export const DEFAULT_PROFILE = 'default';
+
+export const PROJECT_FILE = '.monvoyagepascherrc';
+
+// Settings that can differ per profile and be overridden by env, project file or flag
+export const PROFILE_KEYS = ['apiKey', 'baseUrl', 'language'];
+
+const ENV_VARS = {
+  apiKey: 'MONVOYAGEPASCHER_API_KEY',
+  baseUrl: 'MONVOYAGEPASCHER_BASE_URL',
+  language: 'MONVOYAGEPASCHER_LANGUAGE',
+  profile: 'MONVOYAGEPASCHER_PROFILE'
+};
+
+const DEFAULTS = {
+  apiKey: '',
+  baseUrl: '',
+  language: 'en'
+};
+
+const options = {
   projectName: 'ktmcp-monvoyagepascher',
   schema: {
     apiKey: {
       type: 'string',
       default: ''
     },
+    baseUrl: {
+      type: 'string',
+      default: ''
+    },
     language: {
       type: 'string',
       default: 'en'
+    },
+    activeProfile: {
+      type: 'string',
+      default: DEFAULT_PROFILE
+    },
+    profiles: {
+      type: 'object',
+      default: {}
+    },
+    retries: {
+      type: 'integer',
+      minimum: 0,
+      default: 3
+    },
+    retryDelay: {
+      type: 'integer',
+      minimum: 0,
+      default: 500
+    },
+    retryMaxDelay: {
+      type: 'integer',
+      minimum: 0,
+      default: 30000
+    },
+    rateLimit: {
+      type: 'number',
+      minimum: 0,
+      default: 5
+    }
+  }
+};
+
+// Created on first use so importing the library never touches disk
+let config;
+
+function getStore() {
+  if (!config) config = new Conf(options);
+  return config;
+}
+
+// Values from global CLI flags (--profile, --base-url, ...)
+const overrides = {};
+
+/**
+ * Set values given as CLI flags; they take precedence over every other source
+ */
+export function setOverrides(values = {}) {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined) overrides[key] = value;
+  });
+}
+
+let projectFile;
+let projectFileError;
+
+/**
+ * Find and parse the nearest .monvoyagepascherrc from the working directory upwards.
+ * A file that does not parse throws on every call, not just the first.
+ */
+export function loadProjectFile(cwd = process.cwd()) {
+  if (projectFileError) throw projectFileError;
+  if (projectFile !== undefined) return projectFile;
+
+  let dir = resolve(cwd);
+  while (true) {
+    const path = join(dir, PROJECT_FILE);
+    if (existsSync(path)) {
+      try {
+        projectFile = { path, values: JSON.parse(readFileSync(path, 'utf8')) };
+      } catch (error) {
+        projectFileError = new ValidationError(`Invalid JSON in ${path}: ${error.message}`);
+        throw projectFileError;
+      }
+      return projectFile;
     }
+    const parent = dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  projectFile = null;
+  return projectFile;
+}
+
+/**
+ * Name of the profile in use, and where that choice came from
+ */
+export function getActiveProfile() {
+  if (overrides.profile) return { name: overrides.profile, source: 'flag' };
+  if (process.env[ENV_VARS.profile]) return { name: process.env[ENV_VARS.profile], source: `env:${ENV_VARS.profile}` };
+  const project = loadProjectFile();
+  if (project?.values.profile) return { name: project.values.profile, source: `file:${project.path}` };
+  return { name: getStore().get('activeProfile') || DEFAULT_PROFILE, source: 'config' };
+}
+
+function getProfileValues(name) {
+  const store = getStore();
+  if (name === DEFAULT_PROFILE) {
+    return { apiKey: store.get('apiKey'), baseUrl: store.get('baseUrl'), language: store.get('language') };
+  }
+  return store.get('profiles')[name];
+}
+
+/**
+ * Resolve a profile setting with precedence flag > env > project file > profile > default
+ */
+export function resolveSetting(key) {
+  if (overrides[key] !== undefined && overrides[key] !== '') {
+    return { value: overrides[key], source: 'flag' };
   }
-});
+
+  const envVar = ENV_VARS[key];
+  if (envVar && process.env[envVar]) {
+    return { value: process.env[envVar], source: `env:${envVar}` };
+  }
+
+  const project = loadProjectFile();
+  if (project && project.values[key] !== undefined && project.values[key] !== '' &&
+    (key !== 'baseUrl' || projectBaseUrlTrusted(project))) {
+    return { value: project.values[key], source: `file:${project.path}` };
+  }
+
+  const profile = getActiveProfile().name;
+  const values = getProfileValues(profile);
+  if (!values) {
+    throw new ValidationError(`Profile "${profile}" does not exist. Run: monvoyagepascher config profile list`);
+  }
+  if (values[key] !== undefined && values[key] !== '') {
+    return { value: values[key], source: `profile:${profile}` };
+  }
+
+  return { value: DEFAULTS[key], source: 'default' };
+}
+
+/**
+ * A project file's baseUrl is only used when the API key comes from the same
+ * file, so a checked-out repository cannot send the user's own key elsewhere
+ */
+function projectBaseUrlTrusted(project) {
+  return !!project.values.apiKey && resolveSetting('apiKey').source === `file:${project.path}`;
+}
+
+/**
+ * The project file baseUrl that is being ignored (see projectBaseUrlTrusted),
+ * or null when there is none or a flag or env var sets the base URL anyway
+ */
+export function ignoredProjectBaseUrl() {
+  const project = loadProjectFile();
+  if (!project?.values.baseUrl || projectBaseUrlTrusted(project)) return null;
+  const { source } = resolveSetting('baseUrl');
+  if (source === 'flag' || source.startsWith('env:')) return null;
+  return { value: project.values.baseUrl, path: project.path };
+}
 
 export function getConfig(key) {
-  return config.get(key);
+  if (PROFILE_KEYS.includes(key)) return resolveSetting(key).value;
+  return getStore().get(key);
 }
 
-export function setConfig(key, value) {
-  config.set(key, value);
+/**
+ * Set a value. Profile settings go to the active profile unless `profile` is given.
+ */
+export function setConfig(key, value, profile = null) {
+  if (!PROFILE_KEYS.includes(key)) {
+    getStore().set(key, value);
+    return;
+  }
+
+  const name = profile || getActiveProfile().name;
+  if (name === DEFAULT_PROFILE) {
+    getStore().set(key, value);
+    return;
+  }
+
+  const profiles = getStore().get('profiles');
+  if (!profiles[name]) {
+    throw new ValidationError(`Profile "${name}" does not exist. Run: monvoyagepascher config profile add ${name}`);
+  }
+  getStore().set('profiles', { ...profiles, [name]: { ...profiles[name], [key]: value } });
 }
 
 export function getAllConfig() {
-  return config.store;
+  return getStore().store;
 }
 
 export function clearConfig() {
-  config.clear();
+  getStore().clear();
 }
 
 export function isConfigured() {
-  return !!config.get('apiKey');
+  return !!getConfig('apiKey');
+}
+
+// ============================================================
+// Profiles
+// ============================================================
+
+/**
+ * List profile names, the default profile first
+ */
+export function listProfiles() {
+  return [DEFAULT_PROFILE, ...Object.keys(getStore().get('profiles'))];
+}
+
+export function getProfile(name) {
+  return getProfileValues(name) || null;
+}
+
+export function addProfile(name, values = {}) {
+  const profiles = getStore().get('profiles');
+  if (name === DEFAULT_PROFILE || profiles[name]) {
+    throw new ValidationError(`Profile "${name}" already exists`);
+  }
+  const profile = {};
+  PROFILE_KEYS.forEach(key => {
+    if (values[key] !== undefined) profile[key] = values[key];
+  });
+  getStore().set('profiles', { ...profiles, [name]: profile });
+}
+
+export function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new ValidationError('The default profile cannot be removed');
+  }
+  const { [name]: removed, ...rest } = getStore().get('profiles');
+  if (!removed) {
+    throw new ValidationError(`Profile "${name}" does not exist`);
+  }
+  getStore().set('profiles', rest);
+  if (getStore().get('activeProfile') === name) {
+    getStore().set('activeProfile', DEFAULT_PROFILE);
+  }
 }
 
-export default config;
+export function useProfile(name) {
+  if (!getProfileValues(name)) {
+    throw new ValidationError(`Profile "${name}" does not exist`);
+  }
+  getStore().set('activeProfile', name);
+}
@@ -0,0 +1,100 @@
+import {
+  getCountries,
+  getContinents,
+  getSignificantCities,
+  searchAirports,
+  findCitiesFromText,
+  getTimezone,
+  NotFoundError
+} from './api.js';
+import { coordinatesOf, formatCoordinates } from './geo.js';
+import { getUtcOffsetMinutes, isValidTimeZone } from './time.js';
+
+/**
+ * Records from a lookup, or none when the API has nothing for it (a
+ * territory without airports, say), so one empty section does not sink the
+ * whole profile
+ */
+async function recordsOrNone(request) {
+  try {
+    const data = (await request()).data;
+    return Array.isArray(data) ? data : data ? [data] : [];
+  } catch (error) {
+    if (error instanceof NotFoundError) return [];
+    throw error;
+  }
+}
+
+const sameName = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+
+/**
+ * The capital as a city record: from the significant cities when it is
+ * listed there, otherwise by searching its name within the country
+ */
+async function findCapital(country, cities, language) {
+  const listed = cities.find(city => sameName(city.name, country.capital)) ??
+    cities.find(city => city.capital === 'primary');
+  if (listed) return listed;
+
+  // City search needs at least 3 characters
+  if (String(country.capital).length < 3) return null;
+  const matches = await recordsOrNone(() => findCitiesFromText(country.capital, { countrycode: country.cca2, language }));
+  return matches.find(city => sameName(city.name, country.capital)) ?? matches[0] ?? null;
+}
+
+/**
+ * Everything the API knows about one country in one report: the country
+ * record, its continent, the largest cities, the top airports and the
+ * capital's timezone and current local time.
+ *
+ * @param {string} code - ISO 3166-1 alpha-2 country code
+ * @param {object} [options]
+ * @param {string} [options.language] - Response language
+ * @param {number} [options.cities] - Largest cities to include (default 10)
+ * @param {number} [options.airports] - Top airports to include (default 10)
+ */
+export async function countryProfile(code, { language, cities: cityCount = 10, airports: airportCount = 10 } = {}) {
+  const countries = await recordsOrNone(() => getCountries({ countrycode: code, language }));
+  const country = countries.find(record => sameName(record.cca2, code)) ?? (countries.length === 1 ? countries[0] : null);
+  if (!country) {
+    throw new NotFoundError(`No country found for code ${code}`);
+  }
+  const countrycode = country.cca2 ?? code;
+
+  const [continents, cities, airports] = await Promise.all([
+    country.continent ? recordsOrNone(() => getContinents({ code: country.continent, language })) : [],
+    recordsOrNone(() => getSignificantCities({ countrycode, limit: cityCount, language })),
+    recordsOrNone(() => searchAirports({ countrycode, topAirports: true, language }))
+  ]);
+
+  let capital = null;
+  if (country.capital) {
+    const city = await findCapital(country, cities, language);
+    const coordinates = coordinatesOf(city);
+    const [timezone] = coordinates
+      ? await recordsOrNone(() => getTimezone(formatCoordinates(coordinates)))
+      : [];
+    const zone = timezone?.timezone ?? city?.timezone ?? null;
+
+    capital = {
+      name: country.capital,
+      coordinates: coordinates ? formatCoordinates(coordinates) : null,
+      population: city?.population ?? null,
+      timezone: zone,
+      localTime: timezone?.current_time ?? null,
+      utcOffsetMinutes: zone && isValidTimeZone(zone) ? getUtcOffsetMinutes(zone) : null
+    };
+  }
+
+  return {
+    code: countrycode,
+    country,
+    continent: continents.find(record => sameName(record.code, country.continent)) ?? null,
+    capital,
+    density: country.population && country.area ? country.population / country.area : null,
+    cities: [...cities]
+      .sort((a, b) => (b.population ?? 0) - (a.population ?? 0))
+      .slice(0, cityCount),
+    airports: airports.slice(0, airportCount)
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Parse delimited text (RFC 4180 quoting) into an array of row objects keyed by header
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((key, index) => {
+      record[key] = (values[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+function escapeField(value, delimiter) {
+  if (value === undefined || value === null) return '';
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Serialize row objects as delimited text with a header line
+ */
+export function toCsv(rows, columns = null, delimiter = ',') {
+  const keys = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [keys.map(key => escapeField(key, delimiter)).join(delimiter)];
+  rows.forEach(row => {
+    lines.push(keys.map(key => escapeField(row[key], delimiter)).join(delimiter));
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,70 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { cacheKey } from './cache.js';
+
+// Fallback fixture served for an endpoint when no recorded request matches
+export const DEFAULT_FIXTURE = 'default.json';
+
+/**
+ * Directory name for an endpoint ("/cities/significant" -> "cities_significant")
+ */
+export function endpointDir(endpoint) {
+  return endpoint.replace(/^\/+/, '').replace(/\//g, '_') || 'root';
+}
+
+/**
+ * Path of the fixture recorded for one request
+ */
+export function fixturePath(dir, endpoint, params = {}) {
+  const hash = createHash('sha1').update(cacheKey(endpoint, params)).digest('hex').slice(0, 12);
+  return join(dir, endpointDir(endpoint), `${hash}.json`);
+}
+
+/**
+ * Save a response as a fixture
+ */
+export function writeFixture(dir, endpoint, params, status, data) {
+  const path = fixturePath(dir, endpoint, params);
+  mkdirSync(join(dir, endpointDir(endpoint)), { recursive: true });
+  writeFileSync(path, JSON.stringify({ request: { endpoint, params }, status, data }, null, 2) + '\n');
+  return path;
+}
+
+/**
+ * Read the fixture recorded for a request, or null
+ */
+export function readFixture(dir, endpoint, params = {}) {
+  const path = fixturePath(dir, endpoint, params);
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Load every fixture under a directory: recorded requests keyed by cache key,
+ * and per-endpoint defaults keyed by endpoint. Files without `request.endpoint`
+ * are ignored.
+ */
+export function loadFixtures(dir) {
+  const recorded = new Map();
+  const defaults = new Map();
+  if (!existsSync(dir)) return { recorded, defaults };
+
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+
+    for (const file of readdirSync(join(dir, entry.name))) {
+      if (!file.endsWith('.json')) continue;
+      const fixture = JSON.parse(readFileSync(join(dir, entry.name, file), 'utf8'));
+
+      if (!fixture.request?.endpoint) continue;
+      if (file === DEFAULT_FIXTURE) {
+        defaults.set(fixture.request.endpoint, fixture);
+      } else {
+        recorded.set(cacheKey(fixture.request.endpoint, fixture.request.params), fixture);
+      }
+    }
+  }
+
+  return { recorded, defaults };
+}
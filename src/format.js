@@ -0,0 +1,211 @@
+import { toCsv } from './csv.js';
+import { ValidationError } from './api.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'markdown', 'yaml', 'geojson', 'kml'];
+
+// Formats that can be written row by row as results arrive
+export const STREAMING_FORMATS = ['ndjson', 'csv', 'tsv'];
+
+// Formats that map each row to a geometry; only commands returning places support them
+export const GEO_FORMATS = ['geojson', 'kml'];
+
+/**
+ * Check a --format value
+ */
+export function validateFormat(format) {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new ValidationError(`Unknown format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Restrict and reorder columns to a comma-separated --fields list
+ */
+export function projectColumns(columns, fields) {
+  if (!fields) return columns;
+
+  const keys = fields.split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = keys.filter(key => !columns.some(col => col.key === key));
+  if (unknown.length) {
+    throw new ValidationError(
+      `Unknown field(s): ${unknown.join(', ')}. Available: ${columns.map(col => col.key).join(', ')}`
+    );
+  }
+  return keys.map(key => columns.find(col => col.key === key));
+}
+
+/**
+ * Render a cell for human-facing formats (table, markdown)
+ */
+export function displayValue(col, row) {
+  const value = row[col.key];
+  if (value === undefined || value === null || value === '') return 'N/A';
+  return String(col.format ? col.format(value, row) : value);
+}
+
+/**
+ * Plain objects holding only the projected columns, with raw values
+ */
+function pickRows(rows, columns) {
+  return rows.map(row => {
+    const picked = {};
+    columns.forEach(col => {
+      picked[col.key] = row[col.key] ?? null;
+    });
+    return picked;
+  });
+}
+
+function escapeMarkdown(value) {
+  return value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(rows, columns) {
+  const lines = [
+    `| ${columns.map(col => escapeMarkdown(col.label)).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`
+  ];
+  rows.forEach(row => {
+    lines.push(`| ${columns.map(col => escapeMarkdown(displayValue(col, row))).join(' | ')} |`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+
+  const str = String(value);
+  const ambiguous = /^(true|false|yes|no|on|off|null|~|-?\d+(\.\d+)?([eE][-+]?\d+)?)$/i.test(str);
+  const special = /^[\s\-?:,[\]{}#&*!|>'"%@`]|[\s]$|: | #|[\n\r\t]/.test(str);
+  return str === '' || ambiguous || special ? JSON.stringify(str) : str;
+}
+
+function toYaml(rows) {
+  if (rows.length === 0) return '[]\n';
+  return rows.map(row => {
+    const entries = Object.entries(row);
+    if (entries.length === 0) return '- {}';
+    return entries
+      .map(([key, value], index) => `${index === 0 ? '-' : ' '} ${key}: ${yamlScalar(value)}`)
+      .join('\n');
+  }).join('\n') + '\n';
+}
+
+/**
+ * Serialize rows in any non-table output format.
+ * `header: false` omits the CSV/TSV header line when appending to a stream.
+ */
+export function formatRows(rows, columns, format, { header = true } = {}) {
+  const picked = pickRows(rows, columns);
+  const withHeader = (text) => header ? text : text.slice(text.indexOf('\n') + 1);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(picked, null, 2) + '\n';
+    case 'ndjson':
+      return picked.map(row => JSON.stringify(row)).join('\n') + (picked.length ? '\n' : '');
+    case 'csv':
+      return withHeader(toCsv(picked, columns.map(col => col.key)));
+    case 'tsv':
+      return withHeader(toCsv(picked, columns.map(col => col.key), '\t'));
+    case 'markdown':
+      return toMarkdown(rows, columns);
+    case 'yaml':
+      return toYaml(picked);
+    default:
+      throw new ValidationError(`Unknown format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+// ============================================================
+// Geographic formats
+// ============================================================
+
+const round = (n) => Number(Number(n).toFixed(6));
+
+/**
+ * GeoJSON Point for { lat, lon }, or null without coordinates
+ */
+export function pointGeometry(coords) {
+  return coords ? { type: 'Point', coordinates: [round(coords.lon), round(coords.lat)] } : null;
+}
+
+/**
+ * GeoJSON LineString through a list of { lat, lon }
+ */
+export function lineGeometry(points) {
+  return { type: 'LineString', coordinates: points.map(p => [round(p.lon), round(p.lat)]) };
+}
+
+function toGeoJson(features) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: features.map(({ geometry, properties }) => ({ type: 'Feature', geometry, properties }))
+  }, null, 2) + '\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function kmlGeometry(geometry) {
+  if (!geometry) return [];
+  const coordinates = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+  const text = coordinates.map(c => c.join(',')).join(' ');
+  return geometry.type === 'Point'
+    ? [`      <Point><coordinates>${text}</coordinates></Point>`]
+    : [`      <LineString><tessellate>1</tessellate><coordinates>${text}</coordinates></LineString>`];
+}
+
+function toKml(features, title) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...(title ? [`    <name>${escapeXml(title)}</name>`] : [])
+  ];
+
+  features.forEach(({ name, geometry, properties }) => {
+    const data = Object.entries(properties).filter(([, value]) => value !== null && value !== undefined);
+    lines.push(
+      '    <Placemark>',
+      ...(name != null ? [`      <name>${escapeXml(name)}</name>`] : []),
+      ...(data.length ? [
+        '      <ExtendedData>',
+        ...data.map(([key, value]) => {
+          const text = typeof value === 'object' ? JSON.stringify(value) : value;
+          return `        <Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+        }),
+        '      </ExtendedData>'
+      ] : []),
+      ...kmlGeometry(geometry),
+      '    </Placemark>'
+    );
+  });
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize features as a GeoJSON FeatureCollection or a KML document.
+ * Each feature is { name, geometry, properties } with a GeoJSON Point or
+ * LineString geometry (or null when the place has no coordinates).
+ */
+export function formatFeatures(features, format, { title } = {}) {
+  switch (format) {
+    case 'geojson':
+      return toGeoJson(features);
+    case 'kml':
+      return toKml(features, title);
+    default:
+      throw new ValidationError(`Unknown geographic format "${format}". Use one of: ${GEO_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,196 @@
+// Offline geodesy on the WGS84 ellipsoid
+
+export const EARTH_RADIUS_KM = 6371.0088;
+export const KM_PER_MILE = 1.609344;
+
+const WGS84 = {
+  a: 6378137,
+  b: 6356752.314245,
+  f: 1 / 298.257223563
+};
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+const COORDINATE_PATTERN = /^\s*([+-]?\d+(?:\.\d+)?)\s*,\s*([+-]?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Parse "lat,long" into { lat, lon }, or null when the string is not coordinates
+ */
+export function parseCoordinates(value) {
+  const match = String(value ?? '').match(COORDINATE_PATTERN);
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lon = Number(match[2]);
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  return { lat, lon };
+}
+
+/**
+ * Format { lat, lon } back into the API's "lat,long" form
+ */
+export function formatCoordinates({ lat, lon }, digits = 6) {
+  const round = (n) => Number(n.toFixed(digits));
+  return `${round(lat)},${round(lon)}`;
+}
+
+/**
+ * Read { lat, lon } from an API record (city, airport), or null when it has none
+ */
+export function coordinatesOf(record) {
+  const lat = record?.latitude ?? record?.lat;
+  const lon = record?.longitude ?? record?.lng ?? record?.lon;
+  if (lat == null || lon == null || !Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) return null;
+  return { lat: Number(lat), lon: Number(lon) };
+}
+
+/**
+ * Great-circle distance in km on a sphere
+ */
+export function haversine(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Ellipsoidal distance in km (Vincenty inverse formula).
+ * Returns null when the iteration does not converge (nearly antipodal points).
+ */
+export function vincenty(a, b) {
+  const { a: major, b: minor, f } = WGS84;
+  const L = toRad(b.lon - a.lon);
+  const U1 = Math.atan((1 - f) * Math.tan(toRad(a.lat)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRad(b.lat)));
+  const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM;
+
+  for (let i = 0; i < 200; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+    if (sinSigma === 0) return 0;
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    cosSqAlpha = 1 - sinAlpha ** 2;
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0;
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+    const previous = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const uSq = cosSqAlpha * (major ** 2 - minor ** 2) / minor ** 2;
+      const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+      return minor * A * (sigma - deltaSigma) / 1000;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Initial bearing in degrees (0-360) from a to b
+ */
+export function initialBearing(a, b) {
+  const phi1 = toRad(a.lat);
+  const phi2 = toRad(b.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Great-circle midpoint between a and b
+ */
+export function midpoint(a, b) {
+  return intermediatePoint(a, b, 0.5);
+}
+
+// Points closer than this (radians, about 6 m) to antipodal count as antipodal;
+// haversine itself is only accurate to ~1e-8 there
+const ANTIPODAL_EPSILON = 1e-6;
+
+/**
+ * Point at `fraction` (0-1) of the way along the great circle from a to b.
+ * Antipodal points are joined by every great circle through them; this one
+ * takes the meridian of a, heading north over the pole.
+ */
+export function intermediatePoint(a, b, fraction) {
+  const phi1 = toRad(a.lat), lambda1 = toRad(a.lon);
+  const phi2 = toRad(b.lat), lambda2 = toRad(b.lon);
+  const delta = haversine(a, b) / EARTH_RADIUS_KM;
+  if (delta === 0) return { lat: a.lat, lon: a.lon };
+  if (Math.PI - delta < ANTIPODAL_EPSILON) return alongMeridian(phi1, lambda1, fraction * Math.PI);
+
+  const A = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const B = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = A * Math.cos(phi1) * Math.cos(lambda1) + B * Math.cos(phi2) * Math.cos(lambda2);
+  const y = A * Math.cos(phi1) * Math.sin(lambda1) + B * Math.cos(phi2) * Math.sin(lambda2);
+  const z = A * Math.sin(phi1) + B * Math.sin(phi2);
+
+  return {
+    lat: toDeg(Math.atan2(z, Math.sqrt(x ** 2 + y ** 2))),
+    lon: ((toDeg(Math.atan2(y, x)) + 540) % 360) - 180
+  };
+}
+
+/**
+ * Point `distance` radians north of (phi, lambda) along its meridian,
+ * continuing down the opposite meridian past the pole
+ */
+function alongMeridian(phi, lambda, distance) {
+  const lat = phi + distance;
+  if (lat <= Math.PI / 2) return { lat: toDeg(lat), lon: toDeg(lambda) };
+  return {
+    lat: toDeg(Math.PI - lat),
+    lon: ((toDeg(lambda) + 360) % 360) - 180
+  };
+}
+
+/**
+ * Points along the great circle from a to b, split into `segments` equal
+ * parts (both ends included), so long routes draw as curves on a map
+ */
+export function greatCirclePath(a, b, segments) {
+  return Array.from({ length: segments + 1 }, (_, i) => intermediatePoint(a, b, i / segments));
+}
+
+/**
+ * 16-point compass direction for a bearing
+ */
+export function compassPoint(bearing) {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  return points[Math.round(bearing / 22.5) % 16];
+}
+
+/**
+ * Distance (km), initial bearing and midpoint between two coordinates.
+ * Uses Vincenty unless `method` is "haversine"; falls back to haversine
+ * when Vincenty does not converge.
+ */
+export function measure(a, b, { method = 'vincenty' } = {}) {
+  let km = method === 'haversine' ? haversine(a, b) : vincenty(a, b);
+  let used = method;
+  if (km === null) {
+    km = haversine(a, b);
+    used = 'haversine';
+  }
+
+  return {
+    km,
+    bearing: initialBearing(a, b),
+    midpoint: midpoint(a, b),
+    method: used
+  };
+}
@@ -0,0 +1,309 @@
+import type { AxiosInstance } from 'axios';
+
+export type Language = 'en' | 'fr' | 'de' | 'es';
+
+/** Envelope returned by every endpoint */
+export interface ApiResponse<T> {
+  status: 'success' | 'error' | string;
+  message?: string;
+  count?: number;
+  data: T;
+}
+
+export interface Airport {
+  iata_code?: string;
+  icao_code?: string;
+  name?: string;
+  municipality?: string;
+  iso_country?: string;
+  elevation_ft?: number;
+  latitude?: number;
+  longitude?: number;
+  [key: string]: unknown;
+}
+
+export interface City {
+  name?: string;
+  country?: string;
+  population?: number;
+  timezone?: string;
+  elevation?: number;
+  capital?: string;
+  latitude?: number;
+  longitude?: number;
+  [key: string]: unknown;
+}
+
+export interface Country {
+  cca2?: string;
+  name?: string;
+  capital?: string;
+  population?: number;
+  area?: number;
+  [key: string]: unknown;
+}
+
+export interface Continent {
+  code?: string;
+  name?: string;
+  countries?: unknown[];
+  [key: string]: unknown;
+}
+
+export interface ElevationResult {
+  location?: string;
+  elevation?: number;
+  unit?: 'meters' | 'feet' | string;
+  [key: string]: unknown;
+}
+
+export interface DistanceResult {
+  distance?: number;
+  [key: string]: unknown;
+}
+
+/** Solar events keyed by name (sunrise, sunset, golden hour...) */
+export type SunPositions = Record<string, string>;
+
+export interface TimezoneResult {
+  timezone?: string;
+  current_time?: string;
+  [key: string]: unknown;
+}
+
+export interface CacheStore {
+  get(key: string): unknown | undefined;
+  set(key: string, data: unknown, ttl: number): void;
+}
+
+export interface ClientOptions {
+  apiKey?: string;
+  /** Defaults to DEFAULT_BASE_URL */
+  baseUrl?: string;
+  language?: Language;
+  /** Request timeout in ms, 0 for none */
+  timeout?: number;
+  /** axios instance to send requests with */
+  axios?: AxiosInstance;
+  /** fetch implementation, used instead of axios when set */
+  fetch?: typeof fetch;
+  /** Retries for 408, 429, 5xx and network errors (default 3) */
+  retries?: number;
+  /** Base backoff delay in ms (default 500) */
+  retryDelay?: number;
+  /** Upper bound for one backoff delay in ms (default 30000) */
+  retryMaxDelay?: number;
+  /** Requests per second ceiling, 0 for unlimited (default 0) */
+  rateLimit?: number;
+  /** Response cache store, disabled when omitted */
+  cache?: CacheStore | false;
+  /** Skip cache reads but still write fresh responses */
+  refresh?: boolean;
+  /** Directory to save every response to as a fixture */
+  record?: string;
+  /** Directory to answer requests from instead of the network (no API key needed) */
+  replay?: string;
+}
+
+export interface AirportSearchOptions extends PageOptions {
+  language?: Language;
+  location?: string;
+  radius?: number | string;
+  countrycode?: string;
+  topAirports?: boolean;
+}
+
+export interface CityLocationOptions extends PageOptions {
+  language?: Language;
+  location?: string;
+  radius?: number | string;
+  countrycode?: string;
+  limit?: number | string;
+  sort?: string;
+}
+
+export interface CityTextOptions {
+  language?: Language;
+  countrycode?: string;
+  sort?: string;
+}
+
+export interface SignificantCityOptions extends PageOptions {
+  language?: Language;
+  population?: number | string;
+  location?: string;
+  countrycode?: string;
+  limit?: number | string;
+  sort?: string;
+}
+
+export interface PageOptions {
+  page?: number;
+  offset?: number;
+  cursor?: string;
+}
+
+export interface IterateOptions {
+  /** Stop after this many items */
+  max?: number;
+}
+
+export interface Client {
+  request<T = unknown>(endpoint: string, params?: Record<string, unknown>): Promise<ApiResponse<T>>;
+  searchAirports(options?: AirportSearchOptions): Promise<ApiResponse<Airport[]>>;
+  findCitiesFromLatLong(options?: CityLocationOptions): Promise<ApiResponse<City[]>>;
+  findCitiesFromText(query: string, options?: CityTextOptions): Promise<ApiResponse<City[]>>;
+  getSignificantCities(options?: SignificantCityOptions): Promise<ApiResponse<City[]>>;
+  getContinents(options?: { language?: Language; code?: string }): Promise<ApiResponse<Continent[]>>;
+  getCountries(options?: { language?: Language; countrycode?: string }): Promise<ApiResponse<Country[]>>;
+  getElevation(locations: string, unit?: 'meters' | 'feet'): Promise<ApiResponse<ElevationResult[]>>;
+  getDistance(locationA: string, locationB: string, unit?: 'kms' | 'miles'): Promise<ApiResponse<DistanceResult>>;
+  getSunPositions(location: string, date?: string | null): Promise<ApiResponse<SunPositions>>;
+  getTimezone(location: string): Promise<ApiResponse<TimezoneResult>>;
+  ping(): Promise<ApiResponse<unknown>>;
+  /** Follows API paging, or widens the radius up to 500 km for location searches */
+  iterateAirports(options?: AirportSearchOptions & IterateOptions): AsyncGenerator<Airport>;
+  /** Follows API paging, or widens the radius up to 200 km for location searches */
+  iterateCitiesFromLatLong(options?: CityLocationOptions & IterateOptions): AsyncGenerator<City>;
+  iterateSignificantCities(options?: SignificantCityOptions & IterateOptions): AsyncGenerator<City>;
+}
+
+export function createClient(options?: ClientOptions): Client;
+
+export interface MockServerOptions {
+  /** Fixture directories, earlier ones take precedence (default: bundled fixtures) */
+  fixtures?: string[];
+  /** Require this exact x-api-key; any non-empty key otherwise */
+  apiKey?: string;
+  onRequest?: (entry: { method: string; endpoint: string; params: Record<string, string>; status: number; source: 'recorded' | 'default' | 'mock' }) => void;
+}
+
+/** Mock of the public API answering from fixture files; call .listen() to start it */
+export function createMockServer(options?: MockServerOptions): import('http').Server;
+
+export const BUNDLED_FIXTURES: string;
+
+export interface McpTool {
+  name: string;
+  description: string;
+  /** JSON Schema of the tool's arguments */
+  inputSchema: Record<string, unknown>;
+}
+
+export interface McpServerOptions {
+  /** Client whose methods the tools call, e.g. createClient() */
+  client: Client;
+  /** Reported on initialize (default "monvoyagepascher") */
+  name?: string;
+  version?: string;
+  /** Called after each tool call */
+  onCall?: (entry: { tool: string; ok: boolean; ms: number }) => void;
+}
+
+export interface McpServer {
+  /** Answer one parsed JSON-RPC message; resolves to null for notifications */
+  handle(message: unknown): Promise<Record<string, unknown> | null>;
+  /** Serve newline-delimited JSON-RPC (stdio by default) until the input ends */
+  listen(streams?: { input?: NodeJS.ReadableStream; output?: NodeJS.WritableStream }): Promise<void>;
+}
+
+/** Model Context Protocol server exposing the API methods as tools */
+export function createMcpServer(options: McpServerOptions): McpServer;
+
+export const MCP_TOOLS: McpTool[];
+export const MCP_PROTOCOL_VERSIONS: string[];
+
+export const DEFAULT_BASE_URL: string;
+
+/** Languages the API answers in; other values are rejected with ValidationError */
+export const SUPPORTED_LANGUAGES: Language[];
+
+/** Largest search radius in km per endpoint */
+export const MAX_RADIUS: { airports: number; cities: number };
+/** Largest page the city endpoints return */
+export const MAX_LIMIT: number;
+/** Locations one elevation request accepts */
+export const MAX_ELEVATION_LOCATIONS: number;
+export const DISTANCE_UNITS: Array<'kms' | 'miles'>;
+export const ELEVATION_UNITS: Array<'meters' | 'feet'>;
+
+/** Set on ValidationError.details by the validate* functions */
+export interface ValidationDetails {
+  field: string;
+  value: unknown;
+  /** "Did you mean" value, when one is known */
+  suggestion?: unknown;
+}
+
+// Argument checks the client runs before each request. Each returns the
+// normalized value or throws ValidationError with ValidationDetails.
+export function validateCoordinates(value: string, field?: string): string;
+/** "lat,long" coordinates or an IATA/ICAO airport code */
+export function validateLocation(value: string, field?: string): string;
+export function validateElevationLocations(locations: string | string[]): string;
+/** With a countries list (e.g. from getCountries), unknown codes are rejected with a suggestion */
+export function validateCountryCode(code: string, countries?: Country[] | null): string;
+export function validateDate(value: string, field?: string): string;
+export function validateUnit<T extends string>(value: string, units: T[], field?: string): T;
+export function validateRadius(value: number | string, max: number, field?: string): number;
+export function validateLimit(value: number | string, field?: string): number;
+
+export const EXIT_CODES: {
+  GENERAL: 1;
+  VALIDATION: 2;
+  AUTH: 3;
+  NOT_FOUND: 4;
+  RATE_LIMITED: 5;
+  NETWORK: 6;
+  SERVER: 7;
+};
+
+export type ErrorCode = keyof typeof EXIT_CODES;
+
+export interface ApiErrorJSON {
+  type: string;
+  code: ErrorCode;
+  exitCode: number;
+  message: string;
+  status?: number;
+  details?: unknown;
+  retryAfter?: number;
+}
+
+export class ApiError extends Error {
+  constructor(message: string, options?: { status?: number; details?: unknown });
+  code: ErrorCode;
+  status?: number;
+  details?: unknown;
+  readonly exitCode: number;
+  toJSON(): ApiErrorJSON;
+}
+
+export class AuthError extends ApiError {}
+export class ValidationError extends ApiError {}
+export class NotFoundError extends ApiError {}
+export class RateLimitError extends ApiError {
+  constructor(message: string, options?: { status?: number; details?: unknown; retryAfter?: number | null });
+  /** Delay in ms suggested by the API's Retry-After header */
+  retryAfter?: number | null;
+}
+export class NetworkError extends ApiError {}
+export class ServerError extends ApiError {}
+
+export interface ProxyServerOptions {
+  /** Client whose methods serve the routes, e.g. createClient() */
+  client: Client;
+  /** Origins allowed to call from a browser ("*" for any); none by default */
+  cors?: string[];
+  /** Requests per minute per client, 0 for unlimited (default 60) */
+  rateLimit?: number;
+  /** Identify clients by X-Forwarded-For */
+  trustProxy?: boolean;
+  onRequest?: (entry: { method: string; endpoint: string; query: string; status: number; client: string; ms: number; note?: string }) => void;
+}
+
+/** REST proxy for the API that adds the client's key server-side; call .listen() to start it */
+export function createProxyServer(options: ProxyServerOptions): import('http').Server;
+
+export const PROXY_ROUTES: Record<string, (client: Client, query: Record<string, string>) => Promise<unknown>>;
+export const DEFAULT_CLIENT_RATE: number;
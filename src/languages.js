@@ -0,0 +1,39 @@
+import { validateLanguage, ValidationError } from './api.js';
+
+/**
+ * Parse a comma-separated --languages list into unique, supported codes
+ */
+export function parseLanguages(value) {
+  const languages = [...new Set(String(value ?? '').split(',').map(lang => lang.trim().toLowerCase()).filter(Boolean))];
+  if (!languages.length) {
+    throw new ValidationError('--languages needs at least one language code');
+  }
+  languages.forEach(validateLanguage);
+  return languages;
+}
+
+/**
+ * Fetch the same records once per language, in parallel, and merge them into
+ * one record per entity. Each merged record is the first language's version
+ * plus `names: { [language]: name }`; entities missing from a language get null.
+ *
+ * @param {string[]} languages
+ * @param {(language: string) => Promise<object[]>} fetchRecords
+ * @param {(record: object) => string} keyOf - Identifies an entity across languages
+ */
+export async function fetchLocalized(languages, fetchRecords, keyOf) {
+  const results = await Promise.all(languages.map(lang => fetchRecords(lang)));
+  const merged = new Map();
+
+  results.forEach((records, i) => {
+    records.forEach(record => {
+      const key = keyOf(record);
+      if (!merged.has(key)) {
+        merged.set(key, { ...record, names: Object.fromEntries(languages.map(lang => [lang, null])) });
+      }
+      merged.get(key).names[languages[i]] = record.name ?? null;
+    });
+  });
+
+  return [...merged.values()];
+}
@@ -0,0 +1,150 @@
+import { searchAirports, findCitiesFromText, NotFoundError, ValidationError } from './api.js';
+import { parseCoordinates, formatCoordinates, coordinatesOf } from './geo.js';
+import { validateCoordinates } from './validate.js';
+
+const CODE_PATTERN = /^[A-Za-z]{3,4}$/;
+
+// "Paris, FR" narrows a city search to one country
+const CITY_COUNTRY_PATTERN = /^(.+?),\s*([A-Za-z]{2})$/;
+
+// IATA metropolitan area codes: they name a city served by several airports
+const METRO_CODES = {
+  BJS: 'Beijing, CN',
+  BUE: 'Buenos Aires, AR',
+  CHI: 'Chicago, US',
+  JKT: 'Jakarta, ID',
+  LON: 'London, GB',
+  MIL: 'Milan, IT',
+  MOW: 'Moscow, RU',
+  NYC: 'New York, US',
+  OSA: 'Osaka, JP',
+  PAR: 'Paris, FR',
+  RIO: 'Rio de Janeiro, BR',
+  ROM: 'Rome, IT',
+  SAO: 'Sao Paulo, BR',
+  SEL: 'Seoul, KR',
+  STO: 'Stockholm, SE',
+  TYO: 'Tokyo, JP',
+  WAS: 'Washington, US',
+  YMQ: 'Montreal, CA',
+  YTO: 'Toronto, CA'
+};
+
+function resolved(input, type, name, { lat, lon }, record = null) {
+  return { input, type, name, lat, lon, coordinates: formatCoordinates({ lat, lon }), record };
+}
+
+/**
+ * Find the airport whose IATA (3 letters) or ICAO (4 letters) code is exactly `code`
+ */
+async function findAirport(code, language) {
+  const upper = code.toUpperCase();
+  let data;
+  try {
+    data = await searchAirports({ location: upper, language });
+  } catch (error) {
+    // Not a known code; the caller falls back to a city search
+    if (error instanceof NotFoundError || error instanceof ValidationError) return null;
+    throw error;
+  }
+  const airport = (data.data || []).find(a =>
+    a.iata_code?.toUpperCase() === upper || a.icao_code?.toUpperCase() === upper
+  );
+  const coords = coordinatesOf(airport);
+  if (!coords) return null;
+  return resolved(code, 'airport', `${airport.iata_code || airport.icao_code} ${airport.name}`, coords, airport);
+}
+
+/**
+ * Cities matching a name, as resolved locations, best match first
+ */
+async function findCities(name, language, input = name) {
+  const match = name.match(CITY_COUNTRY_PATTERN);
+  const query = match ? match[1].trim() : name;
+  if (query.length < 3) {
+    throw new ValidationError(`"${name}" is not coordinates, an airport code or a city name (3+ characters)`);
+  }
+
+  const country = match ? match[2].toUpperCase() : undefined;
+  const data = await findCitiesFromText(query, { language, countrycode: country });
+  return (data.data || [])
+    .filter(city => coordinatesOf(city))
+    .filter(city => !country || !city.country || city.country.toUpperCase() === country)
+    .map(city => resolved(input, 'city', [city.name, city.country].filter(Boolean).join(', '), coordinatesOf(city), city));
+}
+
+/**
+ * Turn user input into coordinates. Accepts "lat,long", IATA/ICAO airport codes,
+ * IATA metropolitan codes (PAR, NYC, TYO) and city names ("Paris" or "Paris, FR"). When a city name matches several
+ * places, `first` takes the best match; otherwise `choose(candidates, input)` is
+ * asked to pick one, and without it the input is rejected as ambiguous.
+ * A location that is already resolved is returned unchanged.
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {boolean} [options.first] - Take the first match instead of asking
+ * @param {(candidates: object[], input: string) => Promise<object|null>} [options.choose]
+ * @param {string} [options.language]
+ * @returns {Promise<{input, type, name, lat, lon, coordinates, record}>}
+ */
+export async function resolveLocation(input, { first = false, choose, language } = {}) {
+  // Already resolved (e.g. by the CLI before a spinner starts)
+  if (input?.coordinates) return input;
+
+  const text = String(input ?? '').trim();
+
+  const coords = parseCoordinates(text);
+  if (coords) return resolved(input, 'coordinates', null, coords);
+  // Numbers that are not valid coordinates are a typo, not a place name
+  if (!/[A-Za-z]/.test(text)) validateCoordinates(text);
+
+  const metro = METRO_CODES[text.toUpperCase()];
+  if (metro) {
+    const [city] = await findCities(metro, language, input);
+    if (city) return city;
+  }
+
+  if (CODE_PATTERN.test(text)) {
+    const airport = await findAirport(text, language);
+    if (airport) return airport;
+  }
+
+  const cities = await findCities(text, language);
+  if (cities.length === 0) {
+    throw new NotFoundError(`No airport or city found for "${input}"`);
+  }
+  if (cities.length === 1 || first) return cities[0];
+
+  if (!choose) {
+    const options = cities.slice(0, 5).map(c => c.name).join('; ');
+    const hint = CITY_COUNTRY_PATTERN.test(text) ? '' : `, add a country ("${text}, FR")`;
+    throw new ValidationError(
+      `"${input}" matches ${cities.length} places (${options}). Use --first${hint} or pass lat,long`
+    );
+  }
+
+  const chosen = await choose(cities, input);
+  if (!chosen) throw new ValidationError(`No location selected for "${input}"`);
+  return chosen;
+}
+
+/**
+ * Resolve several inputs one after another (so prompts never overlap),
+ * looking each distinct input up only once
+ */
+export async function resolveLocations(inputs, options = {}) {
+  const seen = new Map();
+  const results = [];
+  for (const input of inputs) {
+    if (!seen.has(input)) seen.set(input, await resolveLocation(input, options));
+    results.push(seen.get(input));
+  }
+  return results;
+}
+
+/**
+ * Label for headers: "Paris, FR (48.8566,2.3522)", or just the coordinates
+ */
+export function describeLocation(location) {
+  return location.name ? `${location.name} (${location.coordinates})` : location.coordinates;
+}
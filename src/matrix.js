@@ -0,0 +1,103 @@
+import { readFileSync } from 'fs';
+import { getDistance, NotFoundError, ValidationError } from './api.js';
+import { mapConcurrent } from './concurrency.js';
+import { measure } from './geo.js';
+import { resolveLocation } from './locations.js';
+
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+/**
+ * Split a --from/--to list. Items are separated by "|" or ";" when present,
+ * otherwise by commas, with "lat,long" pairs kept together.
+ */
+export function splitLocations(value) {
+  const text = String(value ?? '');
+  if (/[|;]/.test(text)) {
+    return text.split(/[|;]/).map(item => item.trim()).filter(Boolean);
+  }
+
+  const parts = text.split(',').map(item => item.trim()).filter(Boolean);
+  const items = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (NUMBER_PATTERN.test(parts[i]) && NUMBER_PATTERN.test(parts[i + 1] ?? '')) {
+      items.push(`${parts[i]},${parts[i + 1]}`);
+      i++;
+    } else {
+      items.push(parts[i]);
+    }
+  }
+  return items;
+}
+
+/**
+ * Read one location per line; blank lines and lines starting with # are skipped
+ */
+export function readLocationsFile(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (error) {
+    throw new ValidationError(`Cannot read ${path}: ${error.message}`);
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Resolve matrix endpoints one by one. Inputs the resolver cannot find are kept
+ * unresolved (no coordinates) so /distance can still be asked about them.
+ */
+export async function resolveEndpoints(inputs, resolveOptions = {}) {
+  const seen = new Map();
+  for (const input of inputs) {
+    if (seen.has(input)) continue;
+    try {
+      seen.set(input, await resolveLocation(input, resolveOptions));
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      seen.set(input, { input, type: 'unresolved', name: null, coordinates: null });
+    }
+  }
+  return inputs.map(input => seen.get(input));
+}
+
+/**
+ * Distance between every origin and every destination, in km. Pairs where both
+ * ends have coordinates are measured locally; the rest go to /distance.
+ * Each cell carries `rank` (1 = nearest destination for its origin); a pair
+ * the API rejects has `km: null` and the reason in `error`.
+ *
+ * @returns {Promise<Array<{from, to, km, bearing, source, rank, error}>>}
+ */
+export async function computeMatrix(origins, destinations, { method = 'vincenty', concurrency = 4 } = {}) {
+  const pairs = origins.flatMap(from => destinations.map(to => ({ from, to })));
+
+  const cells = await mapConcurrent(pairs, concurrency, async ({ from, to }) => {
+    if (from.coordinates && to.coordinates) {
+      const result = measure(from, to, { method });
+      return { from, to, km: result.km, bearing: result.bearing, source: result.method, error: null };
+    }
+    try {
+      const data = await getDistance(from.coordinates || from.input, to.coordinates || to.input, 'kms');
+      const km = Number(data.data?.distance);
+      return { from, to, km: Number.isFinite(km) ? km : null, bearing: null, source: 'api', error: null };
+    } catch (error) {
+      // A place the API cannot read empties its own cells; outages and auth failures still fail the matrix
+      if (!(error instanceof ValidationError || error instanceof NotFoundError)) throw error;
+      return { from, to, km: null, bearing: null, source: 'api', error: error.message };
+    }
+  });
+
+  origins.forEach((origin, i) => {
+    cells
+      .slice(i * destinations.length, (i + 1) * destinations.length)
+      .filter(cell => cell.km !== null)
+      .sort((a, b) => a.km - b.km)
+      .forEach((cell, i) => { cell.rank = i + 1; });
+  });
+  cells.forEach(cell => { cell.rank ??= null; });
+
+  return cells;
+}
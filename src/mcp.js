@@ -0,0 +1,302 @@
+import { createInterface } from 'readline';
+import { ApiError, ValidationError } from './api.js';
+import {
+  SUPPORTED_LANGUAGES,
+  MAX_RADIUS,
+  MAX_LIMIT,
+  MAX_ELEVATION_LOCATIONS,
+  DISTANCE_UNITS,
+  ELEVATION_UNITS
+} from './validate.js';
+
+// Model Context Protocol revisions this server speaks, newest first
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// ============================================================
+// Tools
+// ============================================================
+
+const language = { type: 'string', enum: SUPPORTED_LANGUAGES, description: 'Response language (default en)' };
+const countrycode = { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166-1 alpha-2 country code, e.g. FR' };
+const location = { type: 'string', description: '"latitude,longitude" (e.g. "48.8566,2.3522") or an IATA airport code' };
+const limit = { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: `Results per page (max ${MAX_LIMIT})` };
+
+function objectSchema(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+/**
+ * Tools exposed over MCP. Each one calls the client method of the same name,
+ * so validation, caching and rate limiting match the CLI.
+ */
+export const MCP_TOOLS = [
+  {
+    name: 'searchAirports',
+    description: 'Search airports near coordinates, within a country, or by IATA/ICAO code',
+    inputSchema: objectSchema({
+      location,
+      radius: { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS.airports, description: `Search radius in km (max ${MAX_RADIUS.airports})` },
+      countrycode,
+      topAirports: { type: 'boolean', description: 'Only major airports' },
+      language
+    }),
+    call: (client, args) => client.searchAirports(args)
+  },
+  {
+    name: 'findCitiesFromText',
+    description: 'Search cities by name (autocomplete-style)',
+    inputSchema: objectSchema({
+      query: { type: 'string', minLength: 3, description: 'City name or prefix, 3+ characters' },
+      countrycode,
+      language
+    }, ['query']),
+    call: (client, { query, ...opts }) => client.findCitiesFromText(query, opts)
+  },
+  {
+    name: 'findCitiesFromLatLong',
+    description: 'Find cities near coordinates or within a country',
+    inputSchema: objectSchema({
+      location,
+      radius: { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS.cities, description: `Search radius in km (max ${MAX_RADIUS.cities})` },
+      countrycode,
+      limit,
+      language
+    }),
+    call: (client, args) => client.findCitiesFromLatLong(args)
+  },
+  {
+    name: 'getSignificantCities',
+    description: 'Major cities by population, optionally within a country',
+    inputSchema: objectSchema({
+      countrycode,
+      population: { type: 'number', minimum: 0, description: 'Population percentage threshold' },
+      location,
+      limit,
+      language
+    }),
+    call: (client, args) => client.getSignificantCities(args)
+  },
+  {
+    name: 'getCountries',
+    description: 'List every country, or one country by code, with capital, population and area',
+    inputSchema: objectSchema({ countrycode, language }),
+    call: (client, args) => client.getCountries(args)
+  },
+  {
+    name: 'getContinents',
+    description: 'List continents, or one continent by code',
+    inputSchema: objectSchema({
+      code: { type: 'string', description: 'Continent code, e.g. EU' },
+      language
+    }),
+    call: (client, args) => client.getContinents(args)
+  },
+  {
+    name: 'getElevation',
+    description: `Elevation of up to ${MAX_ELEVATION_LOCATIONS} coordinates`,
+    inputSchema: objectSchema({
+      locations: {
+        type: 'array',
+        items: { type: 'string', description: '"latitude,longitude"' },
+        minItems: 1,
+        maxItems: MAX_ELEVATION_LOCATIONS
+      },
+      unit: { type: 'string', enum: ELEVATION_UNITS, default: 'meters' }
+    }, ['locations']),
+    call: (client, { locations, unit }) => client.getElevation(locations.join('|'), unit)
+  },
+  {
+    name: 'getDistance',
+    description: 'Distance between two places',
+    inputSchema: objectSchema({
+      locationA: location,
+      locationB: location,
+      unit: { type: 'string', enum: DISTANCE_UNITS, default: 'kms' }
+    }, ['locationA', 'locationB']),
+    call: (client, { locationA, locationB, unit }) => client.getDistance(locationA, locationB, unit)
+  },
+  {
+    name: 'getSunPositions',
+    description: 'Sunrise, sunset, solar noon, day length and golden hour for a place and date',
+    inputSchema: objectSchema({
+      location,
+      date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD (default today)' }
+    }, ['location']),
+    call: (client, { location: place, date }) => client.getSunPositions(place, date)
+  },
+  {
+    name: 'getTimezone',
+    description: 'Timezone and current local time of a place',
+    inputSchema: objectSchema({ location }, ['location']),
+    call: (client, { location: place }) => client.getTimezone(place)
+  }
+];
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value)
+};
+
+/**
+ * Check tool arguments against the parts of JSON Schema the tools use:
+ * required, unknown and wrongly typed properties, and enums. Ranges and
+ * formats are left to the client's own validation.
+ */
+function checkArguments(schema, args) {
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    throw new ValidationError('Tool arguments must be an object');
+  }
+
+  const missing = schema.required.filter(key => args[key] === undefined);
+  if (missing.length) throw new ValidationError(`Missing required argument(s): ${missing.join(', ')}`);
+
+  for (const [key, value] of Object.entries(args)) {
+    const property = schema.properties[key];
+    if (!property) {
+      throw new ValidationError(`Unknown argument "${key}". Expected: ${Object.keys(schema.properties).join(', ')}`);
+    }
+    if (!TYPE_CHECKS[property.type](value)) {
+      throw new ValidationError(`Argument "${key}" must be of type ${property.type}`);
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      throw new ValidationError(`Argument "${key}" must be one of: ${property.enum.join(', ')}`);
+    }
+    if (property.items && !value.every(item => TYPE_CHECKS[property.items.type](item))) {
+      throw new ValidationError(`Every item of "${key}" must be of type ${property.items.type}`);
+    }
+  }
+}
+
+// ============================================================
+// Protocol
+// ============================================================
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+/**
+ * Create a Model Context Protocol server for the API. `handle` takes one
+ * parsed JSON-RPC message and resolves to the response, or null for
+ * notifications; `listen` serves newline-delimited messages over streams.
+ *
+ * @param {object} options
+ * @param {object} options.client - Client whose methods the tools call (createClient() or the CLI's default client)
+ * @param {string} [options.name] - Server name reported on initialize
+ * @param {string} [options.version] - Server version reported on initialize
+ * @param {(entry: { tool: string, ok: boolean, ms: number }) => void} [options.onCall] - Called after each tool call
+ */
+export function createMcpServer({ client, name = 'monvoyagepascher', version = '1.0.0', onCall } = {}) {
+  const tools = new Map(MCP_TOOLS.map(tool => [tool.name, tool]));
+
+  async function callTool(params = {}) {
+    const tool = tools.get(params.name);
+    if (!tool) return { invalid: `Unknown tool "${params.name}"` };
+
+    const started = Date.now();
+    try {
+      const args = params.arguments ?? {};
+      checkArguments(tool.inputSchema, args);
+      const data = await tool.call(client, args);
+      onCall?.({ tool: tool.name, ok: true, ms: Date.now() - started });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+        structuredContent: data
+      };
+    } catch (error) {
+      onCall?.({ tool: tool.name, ok: false, ms: Date.now() - started });
+      // API failures are tool results the model can read and react to
+      if (!(error instanceof ApiError)) throw error;
+      return {
+        content: [{ type: 'text', text: error.message }],
+        structuredContent: { error: error.toJSON() },
+        isError: true
+      };
+    }
+  }
+
+  async function handle(message) {
+    if (typeof message !== 'object' || message === null || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return rpcError(message?.id, INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+    }
+
+    const { id, method, params } = message;
+    // Notifications (no id) never get a response
+    const notification = id === undefined;
+    const reply = (result) => notification ? null : { jsonrpc: '2.0', id, result };
+
+    switch (method) {
+      case 'initialize': {
+        const requested = params?.protocolVersion;
+        return reply({
+          protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: { name, version }
+        });
+      }
+      case 'ping':
+        return reply({});
+      case 'tools/list':
+        return reply({ tools: MCP_TOOLS.map(({ name: toolName, description, inputSchema }) => ({ name: toolName, description, inputSchema })) });
+      case 'tools/call': {
+        try {
+          const result = await callTool(params);
+          if (result.invalid) return notification ? null : rpcError(id, INVALID_PARAMS, result.invalid);
+          return reply(result);
+        } catch (error) {
+          return notification ? null : rpcError(id, INTERNAL_ERROR, `Internal error: ${error.message}`);
+        }
+      }
+      default:
+        if (notification || method.startsWith('notifications/')) return null;
+        return rpcError(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Serve newline-delimited JSON-RPC from `input` to `output` (stdio by
+   * default). Resolves when the input ends and every reply is written.
+   */
+  function listen({ input = process.stdin, output = process.stdout } = {}) {
+    const lines = createInterface({ input, crlfDelay: Infinity });
+    const pending = new Set();
+    const write = (response) => {
+      if (response) output.write(JSON.stringify(response) + '\n');
+    };
+
+    lines.on('line', (line) => {
+      if (!line.trim()) return;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        write(rpcError(null, PARSE_ERROR, 'Parse error'));
+        return;
+      }
+
+      // Requests run concurrently; each reply is written as soon as it is ready
+      const job = handle(message).then(write);
+      pending.add(job);
+      job.finally(() => pending.delete(job));
+    });
+
+    return new Promise(resolve => {
+      lines.on('close', async () => {
+        await Promise.all(pending);
+        resolve();
+      });
+    });
+  }
+
+  return { handle, listen };
+}
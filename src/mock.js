@@ -0,0 +1,86 @@
+import http from 'http';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { cacheKey } from './cache.js';
+import { loadFixtures } from './fixtures.js';
+
+// Fixtures shipped with the package, one default response per endpoint
+export const BUNDLED_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export const MOCK_ENDPOINTS = [
+  '/airports',
+  '/cities/findcitiesfromlatlong',
+  '/cities/findcitiesfromtext',
+  '/cities/significant',
+  '/countries',
+  '/continents',
+  '/elevation',
+  '/distance',
+  '/sun_positions',
+  '/timezone',
+  '/pong'
+];
+
+function send(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create (but do not start) a mock of the public API that answers from fixtures.
+ * A recorded fixture matching endpoint + params wins; otherwise the endpoint's
+ * default fixture is served. With `apiKey`, requests must send that exact key;
+ * without it any non-empty `x-api-key` is accepted.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.fixtures] - Fixture directories, earlier ones take precedence
+ * @param {string} [options.apiKey] - Key the server requires
+ * @param {(entry: object) => void} [options.onRequest] - Called after each response
+ */
+export function createMockServer(options = {}) {
+  const dirs = options.fixtures?.length ? options.fixtures : [BUNDLED_FIXTURES];
+  const recorded = new Map();
+  const defaults = new Map();
+
+  // Load in reverse so earlier directories overwrite later ones
+  [...dirs].reverse().forEach(dir => {
+    const loaded = loadFixtures(dir);
+    loaded.recorded.forEach((fixture, key) => recorded.set(key, fixture));
+    loaded.defaults.forEach((fixture, endpoint) => defaults.set(endpoint, fixture));
+  });
+
+  return http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      send(res, 400, { status: 'error', message: 'Malformed request URL' });
+      options.onRequest?.({ method: req.method, endpoint: String(req.url), params: {}, status: 400, source: 'mock' });
+      return;
+    }
+    const endpoint = url.pathname.replace(/\/+$/, '') || '/';
+    const params = Object.fromEntries(url.searchParams);
+
+    const respond = (status, body, source) => {
+      send(res, status, body);
+      options.onRequest?.({ method: req.method, endpoint, params, status, source });
+    };
+
+    if (req.method !== 'GET') {
+      return respond(405, { status: 'error', message: 'Method not allowed' }, 'mock');
+    }
+
+    const key = req.headers['x-api-key'];
+    if (!key || (options.apiKey && key !== options.apiKey)) {
+      return respond(401, { status: 'error', message: 'Invalid or missing API key' }, 'mock');
+    }
+
+    const fixture = recorded.get(cacheKey(endpoint, params));
+    if (fixture) return respond(fixture.status || 200, fixture.data, 'recorded');
+
+    const fallback = defaults.get(endpoint);
+    if (fallback) return respond(fallback.status || 200, fallback.data, 'default');
+
+    respond(404, { status: 'error', message: `No fixture for ${endpoint}` }, 'mock');
+  });
+}
@@ -0,0 +1,154 @@
+import readline from 'readline';
+import chalk from 'chalk';
+
+const VISIBLE_RESULTS = 10;
+// SGR color sequences; built from a string so the ESC byte stays readable
+const ANSI_COLOR = new RegExp('\u001b\\[[0-9;]*m', 'g');
+
+/**
+ * Interactive search-as-you-type list. Draws on `output` (stderr by default, so
+ * stdout stays free for the selection) and reads keys from `input`.
+ * Resolves with the chosen item, or null when cancelled with Esc or Ctrl-C.
+ *
+ * @param {object} options
+ * @param {(query: string) => Promise<object[]>} options.search - Fetch results for a query
+ * @param {(item: object) => string} options.render - One-line label for a result
+ * @param {string} [options.prompt] - Text shown before the query
+ * @param {string} [options.initial] - Starting query
+ * @param {number} [options.minChars] - Shortest query that triggers a search
+ * @param {number} [options.debounce] - Delay in ms after the last keystroke before searching
+ */
+export function pick({
+  search,
+  render,
+  prompt = 'Search',
+  initial = '',
+  minChars = 2,
+  debounce = 250,
+  input = process.stdin,
+  output = process.stderr
+}) {
+  return new Promise((resolve) => {
+    let query = initial;
+    let results = [];
+    let selected = 0;
+    let status = '';
+    let loading = false;
+    let timer = null;
+    let seq = 0;
+    let drawn = false;
+
+    function draw() {
+      const lines = [];
+      const promptText = `${chalk.cyan('?')} ${chalk.bold(prompt)}: `;
+      lines.push(promptText + query);
+
+      const start = Math.max(0, Math.min(selected - VISIBLE_RESULTS + 1, results.length - VISIBLE_RESULTS));
+      results.slice(start, start + VISIBLE_RESULTS).forEach((item, i) => {
+        const index = start + i;
+        // Keep each result on one row so the redraw can count lines
+        const label = truncate(render(item), (output.columns || 80) - 3);
+        lines.push(index === selected ? chalk.cyan(`❯ ${label}`) : `  ${label}`);
+      });
+
+      const hint = loading ? 'Searching...' : status;
+      lines.push(chalk.dim(hint || '↑/↓ to move, Enter to select, Esc to cancel'));
+
+      // Return to the prompt line and clear everything drawn last time
+      if (drawn) output.write('\r\x1b[J');
+      output.write(lines.join('\n'));
+      if (lines.length > 1) output.write(`\x1b[${lines.length - 1}A`);
+      output.write(`\r\x1b[${stripAnsi(promptText).length + query.length + 1}G`);
+      drawn = true;
+    }
+
+    async function runSearch() {
+      const current = ++seq;
+      if (query.trim().length < minChars) {
+        results = [];
+        selected = 0;
+        loading = false;
+        status = `Type at least ${minChars} characters`;
+        draw();
+        return;
+      }
+
+      loading = true;
+      draw();
+      try {
+        const found = await search(query.trim());
+        if (current !== seq) return;
+        results = found;
+        selected = 0;
+        status = found.length ? `${found.length} result(s)` : 'No results';
+      } catch (error) {
+        if (current !== seq) return;
+        results = [];
+        status = chalk.red(error.message);
+      }
+      loading = false;
+      draw();
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(runSearch, debounce);
+    }
+
+    function finish(item) {
+      clearTimeout(timer);
+      seq++;
+      output.write('\r\x1b[J');
+      input.removeListener('keypress', onKeypress);
+      if (input.isTTY) input.setRawMode(false);
+      input.pause();
+      resolve(item);
+    }
+
+    function onKeypress(str, key = {}) {
+      if ((key.ctrl && key.name === 'c') || key.name === 'escape') return finish(null);
+      if (key.name === 'return' || key.name === 'enter') {
+        if (results[selected]) finish(results[selected]);
+        return;
+      }
+      if (key.name === 'up') {
+        selected = Math.max(0, selected - 1);
+        return draw();
+      }
+      if (key.name === 'down') {
+        selected = Math.min(results.length - 1, selected + 1);
+        if (selected < 0) selected = 0;
+        return draw();
+      }
+      if (key.name === 'backspace') {
+        query = query.slice(0, -1);
+      } else if (key.ctrl && key.name === 'u') {
+        query = '';
+      } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+        query += str;
+      } else {
+        return;
+      }
+      draw();
+      schedule();
+    }
+
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) input.setRawMode(true);
+    input.on('keypress', onKeypress);
+    input.resume();
+
+    draw();
+    if (query || minChars === 0) runSearch();
+  });
+}
+
+function truncate(text, width) {
+  // Colors are dropped from labels that need cutting
+  const plain = stripAnsi(text);
+  return plain.length > width ? `${plain.slice(0, Math.max(0, width - 1))}…` : text;
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_COLOR, '');
+}
@@ -0,0 +1,180 @@
+import { getElevation, ValidationError } from './api.js';
+import { MAX_ELEVATION_LOCATIONS } from './validate.js';
+import { mapConcurrent } from './concurrency.js';
+import { haversine, intermediatePoint, formatCoordinates } from './geo.js';
+
+export const MIN_PROFILE_SAMPLES = 2;
+export const MAX_PROFILE_SAMPLES = 1000;
+
+const BLOCKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+const EIGHTHS = [' ', ...BLOCKS];
+
+/**
+ * Evenly spaced points along the great circle from a to b, both ends included
+ *
+ * @returns {Array<{lat: number, lon: number, distanceKm: number}>}
+ */
+export function samplePath(a, b, samples) {
+  if (!Number.isInteger(samples) || samples < MIN_PROFILE_SAMPLES || samples > MAX_PROFILE_SAMPLES) {
+    throw new ValidationError(`--samples must be an integer from ${MIN_PROFILE_SAMPLES} to ${MAX_PROFILE_SAMPLES}`);
+  }
+
+  const totalKm = haversine(a, b);
+  return Array.from({ length: samples }, (_, i) => {
+    const fraction = i / (samples - 1);
+    return { ...intermediatePoint(a, b, fraction), distanceKm: totalKm * fraction };
+  });
+}
+
+/**
+ * Lowest and highest elevation, total ascent and descent. Samples without
+ * an elevation are skipped; ascent and descent sum the climbs between the
+ * remaining neighbours.
+ */
+export function profileStats(points) {
+  const values = points.map(point => point.elevation).filter(value => value !== null);
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) ascent += change;
+    else descent -= change;
+  }
+
+  return {
+    samples: points.length,
+    missing: points.length - values.length,
+    distanceKm: points.length ? Number(points[points.length - 1].distanceKm.toFixed(3)) : 0,
+    min: values.length ? Math.min(...values) : null,
+    max: values.length ? Math.max(...values) : null,
+    ascent: values.length ? ascent : null,
+    descent: values.length ? descent : null
+  };
+}
+
+/**
+ * Elevation profile along the great circle between two coordinates.
+ * Samples are looked up MAX_ELEVATION_LOCATIONS at a time through the client,
+ * so requests are cached and rate limited like any other call.
+ *
+ * @param {{lat: number, lon: number}} from
+ * @param {{lat: number, lon: number}} to
+ * @param {object} [options]
+ * @param {number} [options.samples] - Points along the path (default 200)
+ * @param {string} [options.unit] - meters or feet
+ * @param {number} [options.concurrency] - Chunks fetched in parallel (default 2)
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{unit: string, points: object[], stats: object}>}
+ */
+export async function elevationProfile(from, to, { samples = 200, unit = 'meters', concurrency = 2, onProgress } = {}) {
+  const points = samplePath(from, to, samples).map((point, index) => ({
+    index,
+    ...point,
+    location: formatCoordinates(point),
+    elevation: null
+  }));
+
+  const chunks = [];
+  for (let i = 0; i < points.length; i += MAX_ELEVATION_LOCATIONS) {
+    chunks.push(points.slice(i, i + MAX_ELEVATION_LOCATIONS));
+  }
+
+  let done = 0;
+  await mapConcurrent(chunks, concurrency, async (chunk) => {
+    const data = await getElevation(chunk.map(point => point.location).join('|'), unit);
+    const items = data.data || [];
+    chunk.forEach((point, i) => {
+      const value = Number(items[i]?.elevation);
+      point.elevation = items[i]?.elevation != null && Number.isFinite(value) ? value : null;
+    });
+    onProgress?.(++done, chunks.length);
+  });
+
+  return { unit, points, stats: profileStats(points) };
+}
+
+/**
+ * Reduce values to `width` buckets, keeping each bucket's highest value
+ * so that peaks survive
+ */
+function resample(values, width) {
+  if (values.length <= width) return values;
+  return Array.from({ length: width }, (_, i) => {
+    const bucket = values
+      .slice(Math.floor(i * values.length / width), Math.floor((i + 1) * values.length / width))
+      .filter(value => value !== null);
+    return bucket.length ? Math.max(...bucket) : null;
+  });
+}
+
+function extent(values) {
+  const known = values.filter(value => value !== null);
+  if (!known.length) return null;
+  return { min: Math.min(...known), max: Math.max(...known) };
+}
+
+/**
+ * One-line sparkline ("▁▂▅█▇▃"); missing values are blanks
+ */
+export function sparkline(values, width = values.length) {
+  const columns = resample(values, width);
+  const range = extent(columns);
+  return columns.map(value => {
+    if (value === null) return ' ';
+    if (range.max === range.min) return BLOCKS[0];
+    return BLOCKS[Math.round((value - range.min) / (range.max - range.min) * (BLOCKS.length - 1))];
+  }).join('');
+}
+
+/**
+ * Filled area chart, `height` rows by up to `width` columns, top row first.
+ * The lowest value sits on the bottom row; eighth blocks smooth the top edge.
+ *
+ * @returns {string[]}
+ */
+export function profileChart(values, { width = 60, height = 10 } = {}) {
+  const columns = resample(values, width);
+  const range = extent(columns);
+  if (!range) return [];
+
+  const span = range.max - range.min;
+  // Levels in eighths of a row, at least one so the floor stays visible
+  const levels = columns.map(value => value === null
+    ? 0
+    : Math.max(1, Math.round(span ? (value - range.min) / span * (height * 8 - 1) + 1 : 1)));
+
+  return Array.from({ length: height }, (_, row) => {
+    const base = (height - 1 - row) * 8;
+    return levels.map(level => EIGHTHS[Math.min(8, Math.max(0, level - base))]).join('');
+  });
+}
+
+// ============================================================
+// GeoJSON export
+// ============================================================
+
+/**
+ * A GeoJSON FeatureCollection: the path as a LineString with elevation as
+ * the third coordinate (samples without one are left out) and the summary
+ * in its properties
+ */
+export function profileGeoJson(profile, { from, to } = {}) {
+  const round = (n, digits) => Number(n.toFixed(digits));
+  const coordinates = profile.points
+    .filter(point => point.elevation !== null)
+    .map(point => [round(point.lon, 6), round(point.lat, 6), point.elevation]);
+
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: {
+        from: from ?? null,
+        to: to ?? null,
+        unit: profile.unit,
+        ...profile.stats
+      }
+    }]
+  };
+}
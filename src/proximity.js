@@ -0,0 +1,79 @@
+import { searchAirports, iterateSignificantCities, MAX_RADIUS, NotFoundError, ValidationError } from './api.js';
+import { mapConcurrent } from './concurrency.js';
+import { coordinatesOf, formatCoordinates, measure } from './geo.js';
+
+const START_RADIUS = 50;
+
+/**
+ * Airports closest to a point, nearest first, each with `distanceKm`, `bearing`
+ * and `rank`. Without `radius`, the search starts at 50 km and doubles, up to
+ * the API's 500 km, until `count` airports are found. A given `radius` is a
+ * hard limit: only airports within it are returned, even if fewer than `count`.
+ *
+ * @param {{ lat: number, lon: number }} point
+ * @param {object} [options]
+ * @param {number} [options.count] - Airports to return (default 5)
+ * @param {number} [options.radius] - Search radius in km, never widened
+ * @param {boolean} [options.topAirports] - Only the API's top airports
+ * @param {string} [options.language]
+ */
+export async function nearestAirports(point, { count = 5, radius, topAirports = false, language } = {}) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new ValidationError('count must be a positive integer');
+  }
+
+  const location = formatCoordinates(point);
+  const maxRadius = radius === undefined ? MAX_RADIUS.airports : Math.min(radius, MAX_RADIUS.airports);
+  let searchRadius = radius === undefined ? START_RADIUS : maxRadius;
+  let airports = [];
+
+  while (true) {
+    try {
+      const data = await searchAirports({ location, radius: searchRadius, topAirports, language });
+      airports = (data.data || []).filter(airport => coordinatesOf(airport));
+    } catch (error) {
+      // Nothing within this radius yet
+      if (!(error instanceof NotFoundError)) throw error;
+    }
+    if (airports.length >= count || searchRadius >= maxRadius) break;
+    searchRadius = Math.min(searchRadius * 2, maxRadius);
+  }
+
+  return airports
+    .map(airport => {
+      const { km, bearing } = measure(point, coordinatesOf(airport));
+      return { ...airport, distanceKm: km, bearing };
+    })
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, count)
+    .map((airport, i) => ({ ...airport, rank: i + 1 }));
+}
+
+/**
+ * Pair every significant city with its closest airport (top airports unless
+ * `topAirports` is false). Cities without coordinates, or without an airport
+ * within 500 km, get `airport: null`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.country] - Country code for the city list
+ * @param {number} [options.population] - Population percentage threshold
+ * @param {number} [options.max] - Stop after this many cities
+ * @param {boolean} [options.topAirports] - Only consider top airports (default true)
+ * @param {number} [options.concurrency] - Cities looked up in parallel (default 4)
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<Array<{ city: object, airport: object|null }>>}
+ */
+export async function cityAirports({ country, population, max, topAirports = true, concurrency = 4, language, onProgress } = {}) {
+  const cities = [];
+  for await (const city of iterateSignificantCities({ countrycode: country, population, max, language })) {
+    cities.push(city);
+  }
+
+  let done = 0;
+  return mapConcurrent(cities, concurrency, async (city) => {
+    const point = coordinatesOf(city);
+    const [airport] = point ? await nearestAirports(point, { count: 1, topAirports, language }) : [];
+    onProgress?.(++done, cities.length);
+    return { city, airport: airport || null };
+  });
+}
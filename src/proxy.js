@@ -0,0 +1,209 @@
+import http from 'http';
+import { ApiError } from './api.js';
+
+// Requests per minute each client may make by default (0 = unlimited)
+export const DEFAULT_CLIENT_RATE = 60;
+
+const flag = (value) => value === '' || value === 'true' || value === '1';
+
+function paging(query) {
+  const opts = {};
+  if (query.page) opts.page = query.page;
+  if (query.offset) opts.offset = query.offset;
+  if (query.cursor) opts.cursor = query.cursor;
+  return opts;
+}
+
+/**
+ * Routes served by the proxy. Paths and query parameters match the public
+ * API, so a front end only swaps its base URL; each route calls the client
+ * method behind it, which validates, caches and adds the API key.
+ */
+export const PROXY_ROUTES = {
+  '/airports': (client, q) => client.searchAirports({
+    location: q.location,
+    radius: q.radius,
+    countrycode: q.countrycode,
+    topAirports: q.top_airports !== undefined ? flag(q.top_airports) : undefined,
+    language: q.language,
+    ...paging(q)
+  }),
+  '/cities/findcitiesfromlatlong': (client, q) => client.findCitiesFromLatLong({
+    location: q.location,
+    radius: q.radius,
+    countrycode: q.countrycode,
+    limit: q.limit,
+    sort: q.sort,
+    language: q.language,
+    ...paging(q)
+  }),
+  '/cities/findcitiesfromtext': (client, q) => client.findCitiesFromText(q.query ?? '', {
+    countrycode: q.countrycode,
+    sort: q.sort,
+    language: q.language
+  }),
+  '/cities/significant': (client, q) => client.getSignificantCities({
+    population: q.population,
+    location: q.location,
+    countrycode: q.countrycode,
+    limit: q.limit,
+    sort: q.sort,
+    language: q.language,
+    ...paging(q)
+  }),
+  '/countries': (client, q) => client.getCountries({ countrycode: q.countrycode, language: q.language }),
+  '/continents': (client, q) => client.getContinents({ code: q.code, language: q.language }),
+  '/elevation': (client, q) => client.getElevation(q.locations ?? '', q.unit || undefined),
+  '/distance': (client, q) => client.getDistance(q.locationA ?? '', q.locationB ?? '', q.unit || undefined),
+  '/sun_positions': (client, q) => client.getSunPositions(q.location ?? '', q.date || null),
+  '/timezone': (client, q) => client.getTimezone(q.location ?? ''),
+  '/pong': (client) => client.ping()
+};
+
+/**
+ * HTTP status the proxy answers with for a failed lookup. Upstream auth and
+ * transport failures are the gateway's problem, not the caller's, so they
+ * become 502 rather than leaking a 401 to the browser.
+ */
+function statusFor(error) {
+  switch (error.code) {
+    case 'VALIDATION': return 400;
+    case 'NOT_FOUND': return 404;
+    case 'RATE_LIMITED': return 429;
+    default: return 502;
+  }
+}
+
+/**
+ * Token buckets keyed by client address: `perMinute` requests, refilled evenly
+ */
+function createRateLimiter(perMinute) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  return function take(clientId, now = Date.now()) {
+    const bucket = buckets.get(clientId) ?? { tokens: perMinute, updated: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+    buckets.set(clientId, bucket);
+
+    // Forget idle clients so the map cannot grow without bound
+    if (buckets.size > 10000) {
+      for (const [id, other] of buckets) {
+        if (other.tokens + (now - other.updated) * refillPerMs >= perMinute) buckets.delete(id);
+      }
+    }
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+  };
+}
+
+/**
+ * Create (but do not start) a REST proxy for the API. Browsers call it without
+ * a key; the client adds the configured one server-side.
+ *
+ * @param {object} options
+ * @param {object} options.client - Client whose methods serve the routes (createClient() or the CLI's default client)
+ * @param {string[]} [options.cors] - Origins allowed to call from a browser ("*" for any); none by default
+ * @param {number} [options.rateLimit] - Requests per minute per client, 0 for unlimited (default 60)
+ * @param {boolean} [options.trustProxy] - Identify clients by X-Forwarded-For (behind a reverse proxy)
+ * @param {(entry: object) => void} [options.onRequest] - Called after each response with
+ *   { method, endpoint, query, status, client, ms, note } (note: the error message, if any)
+ */
+export function createProxyServer({ client, cors = [], rateLimit = DEFAULT_CLIENT_RATE, trustProxy = false, onRequest } = {}) {
+  const take = rateLimit > 0 ? createRateLimiter(rateLimit) : null;
+
+  function allowedOrigin(origin) {
+    if (!origin) return null;
+    if (cors.includes('*')) return '*';
+    return cors.includes(origin) ? origin : null;
+  }
+
+  function clientId(req) {
+    const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] ?? '').split(',')[0].trim() : '';
+    return forwarded || req.socket.remoteAddress || 'unknown';
+  }
+
+  async function handle(req, res) {
+    const started = Date.now();
+    const id = clientId(req);
+    const origin = allowedOrigin(req.headers.origin);
+    let endpoint = String(req.url);
+    let query = '';
+
+    const respond = (status, body, headers = {}, note) => {
+      res.writeHead(status, {
+        'content-type': 'application/json',
+        ...(origin ? { 'access-control-allow-origin': origin, vary: 'Origin' } : {}),
+        ...headers
+      });
+      res.end(body === null ? undefined : JSON.stringify(body));
+      onRequest?.({ method: req.method, endpoint, query, status, client: id, ms: Date.now() - started, note });
+    };
+
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      return respond(400, { status: 'error', message: 'Malformed request URL' });
+    }
+    endpoint = url.pathname.replace(/\/+$/, '') || '/';
+    query = url.search;
+
+    if (req.method === 'OPTIONS') {
+      if (!origin) return respond(403, { status: 'error', message: 'Origin not allowed' });
+      return respond(204, null, {
+        'access-control-allow-methods': 'GET, OPTIONS',
+        'access-control-allow-headers': req.headers['access-control-request-headers'] || 'content-type',
+        'access-control-max-age': '600'
+      });
+    }
+    if (req.method !== 'GET') {
+      return respond(405, { status: 'error', message: 'Method not allowed' }, { allow: 'GET, OPTIONS' });
+    }
+
+    if (endpoint === '/health') return respond(200, { status: 'ok' });
+
+    const route = PROXY_ROUTES[endpoint];
+    if (!route) {
+      return respond(404, { status: 'error', message: `Unknown route ${endpoint}. Available: ${Object.keys(PROXY_ROUTES).join(', ')}` });
+    }
+
+    if (take) {
+      const { allowed, remaining, retryAfter } = take(id);
+      const limitHeaders = { 'ratelimit-limit': String(rateLimit), 'ratelimit-remaining': String(remaining) };
+      if (!allowed) {
+        return respond(429, { status: 'error', message: 'Too many requests' }, { ...limitHeaders, 'retry-after': String(retryAfter) });
+      }
+      res.setHeader('ratelimit-limit', limitHeaders['ratelimit-limit']);
+      res.setHeader('ratelimit-remaining', limitHeaders['ratelimit-remaining']);
+    }
+
+    try {
+      const data = await route(client, Object.fromEntries(url.searchParams));
+      respond(200, data);
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        return respond(500, { status: 'error', message: 'Internal error' }, {}, error.message);
+      }
+      const headers = error.retryAfter ? { 'retry-after': String(Math.ceil(error.retryAfter / 1000)) } : {};
+      respond(statusFor(error), { status: 'error', message: error.message, error: error.toJSON() }, headers, error.message);
+    }
+  }
+
+  // A failing request must never take the server down with it
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.writeHead(500, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status: 'error', message: 'Internal error' }));
+    });
+  });
+}
@@ -0,0 +1,182 @@
+import { getSunPositions, ValidationError } from './api.js';
+import { mapConcurrent } from './concurrency.js';
+import { validateDate } from './validate.js';
+
+// Longest range one `sun calendar` run may cover
+export const MAX_CALENDAR_DAYS = 366;
+
+export const ICS_EVENTS = ['sunrise', 'sunset', 'daylight', 'golden-hour'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value, label) {
+  return new Date(`${validateDate(value, label)}T00:00:00Z`);
+}
+
+/**
+ * Every day from `from` to `to` inclusive, as YYYY-MM-DD strings
+ */
+export function dateRange(from, to) {
+  const start = parseDate(from, '--from');
+  const end = parseDate(to, '--to');
+  if (end < start) {
+    throw new ValidationError('--to must not be before --from');
+  }
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  if (days > MAX_CALENDAR_DAYS) {
+    throw new ValidationError(`A calendar covers at most ${MAX_CALENDAR_DAYS} days (got ${days})`);
+  }
+  return Array.from({ length: days }, (_, i) => new Date(start.getTime() + i * DAY_MS).toISOString().slice(0, 10));
+}
+
+/**
+ * "HH:MM" from an API time ("7:43", "07:43:10" or an ISO timestamp), or null
+ */
+export function clockTime(value) {
+  const match = String(value ?? '').match(/(?:T|^)(\d{1,2}):(\d{2})/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Sun positions for every day in a range. Requests go through the client, so
+ * they are cached and rate limited like any other call.
+ *
+ * @param {string} location - Coordinates or IATA code
+ * @param {object} options
+ * @param {string} options.from - First day, YYYY-MM-DD
+ * @param {string} options.to - Last day, YYYY-MM-DD
+ * @param {number} [options.concurrency] - Days fetched in parallel (default 4)
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<Array<{date, sunrise, sunset, solar_noon, day_length, golden_hour}>>}
+ */
+export async function sunCalendar(location, { from, to, concurrency = 4, onProgress } = {}) {
+  const dates = dateRange(from, to);
+  let done = 0;
+
+  return mapConcurrent(dates, concurrency, async (date) => {
+    const data = (await getSunPositions(location, date)).data || {};
+    onProgress?.(++done, dates.length);
+
+    const sunrise = clockTime(data.sunrise);
+    const sunset = clockTime(data.sunset);
+    let dayLength = clockTime(data.day_length);
+    if (!dayLength && sunrise && sunset) {
+      // Sunset can fall after midnight (UTC times, high latitudes)
+      const minutes = (minutesOf(sunset) - minutesOf(sunrise) + 1440) % 1440;
+      dayLength = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    return {
+      date,
+      sunrise,
+      sunset,
+      solar_noon: clockTime(data.solar_noon),
+      day_length: dayLength,
+      golden_hour: clockTime(data.golden_hour)
+    };
+  });
+}
+
+// ============================================================
+// iCalendar export
+// ============================================================
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets as RFC 5545 requires
+ */
+function fold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+/**
+ * Parse and check a list of .ics event kinds ("daylight,golden-hour" or an array)
+ */
+export function parseEvents(value) {
+  const events = Array.isArray(value) ? value : String(value ?? '').split(',').map(event => event.trim()).filter(Boolean);
+  const unknown = events.filter(event => !ICS_EVENTS.includes(event));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown event(s): ${unknown.join(', ')}. Use: ${ICS_EVENTS.join(', ')}`);
+  }
+  return events;
+}
+
+function localStamp(date, time) {
+  return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Build an iCalendar file from `sunCalendar` days.
+ * Times are wall-clock times in `timezone` (floating when it is not known).
+ *
+ * @param {object[]} days - Rows from sunCalendar
+ * @param {object} options
+ * @param {string} options.name - Place name used in summaries
+ * @param {string} options.uidSuffix - Makes UIDs unique per place (e.g. the coordinates)
+ * @param {string} [options.timezone] - IANA timezone of the times
+ * @param {string[]} [options.events] - Any of ICS_EVENTS
+ */
+export function toIcs(days, { name, uidSuffix, timezone, events = ['daylight', 'golden-hour'] }) {
+  parseEvents(events);
+
+  const tz = timezone ? `;TZID=${timezone}` : '';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const uid = String(uidSuffix).replace(/[^A-Za-z0-9.,-]/g, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ktmcp//monvoyagepascher//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(`Sun calendar – ${name}`)}`
+  ];
+
+  const addEvent = (day, event, summary, start, end) => {
+    if (!start) return;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${day.date}-${event}-${uid}@monvoyagepascher`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART${tz}:${localStamp(day.date, start)}`,
+      ...(end ? [`DTEND${tz}:${localStamp(day.date, end)}`] : []),
+      `SUMMARY:${escapeText(summary)}`,
+      `LOCATION:${escapeText(name)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  };
+
+  days.forEach(day => {
+    if (events.includes('sunrise')) addEvent(day, 'sunrise', `Sunrise ${day.sunrise}`, day.sunrise);
+    if (events.includes('sunset')) addEvent(day, 'sunset', `Sunset ${day.sunset}`, day.sunset);
+    if (events.includes('daylight') && day.sunrise && day.sunset) {
+      addEvent(day, 'daylight', `Daylight (${day.day_length ?? `${day.sunrise}–${day.sunset}`})`, day.sunrise, day.sunset);
+    }
+    if (events.includes('golden-hour') && day.golden_hour && day.sunset && day.golden_hour < day.sunset) {
+      addEvent(day, 'golden-hour', 'Golden hour', day.golden_hour, day.sunset);
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,154 @@
+import { ValidationError } from './api.js';
+
+/**
+ * UTC offset in minutes of an IANA timezone at a given instant
+ */
+export function getUtcOffsetMinutes(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date);
+  const name = parts.find(part => part.type === 'timeZoneName')?.value || 'GMT';
+  const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Format an offset in minutes as "UTC+02:00"
+ */
+export function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Format a clock change in minutes as "+6h", "-5h30m" or "0h"
+ */
+export function formatShift(minutes) {
+  if (minutes === 0) return '0h';
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const hours = Math.floor(abs / 60);
+  const rest = abs % 60;
+  return `${sign}${hours}h${rest ? `${String(rest).padStart(2, '0')}m` : ''}`;
+}
+
+/**
+ * Check that a string is a timezone known to the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+export function zonedParts(timeZone, date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Instant at which a timezone's clock shows the given wall time
+ */
+export function zonedToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = getUtcOffsetMinutes(timeZone, new Date(guess));
+  const instant = guess - first * 60000;
+  // A second pass settles instants next to a DST change
+  const settled = getUtcOffsetMinutes(timeZone, new Date(instant));
+  return new Date(settled === first ? instant : guess - settled * 60000);
+}
+
+/**
+ * Whether a timezone observes daylight saving time at an instant
+ * (its offset is above the smaller of its January and July offsets)
+ */
+export function isDst(timeZone, date = new Date()) {
+  const year = date.getUTCFullYear();
+  const standard = Math.min(
+    getUtcOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1))),
+    getUtcOffsetMinutes(timeZone, new Date(Date.UTC(year, 6, 1)))
+  );
+  return getUtcOffsetMinutes(timeZone, date) > standard;
+}
+
+const INSTANT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(.*)$/;
+
+/**
+ * Parse "2026-11-03 09:00 Europe/Paris" into a Date. The zone may be an IANA
+ * name, "UTC"/"Z" or an offset like "+05:30"; without one, `defaultZone` is used.
+ */
+export function parseInstant(text, defaultZone = 'UTC') {
+  const match = String(text ?? '').trim().match(INSTANT_PATTERN);
+  if (!match) {
+    throw new ValidationError(`Cannot read "${text}". Use "YYYY-MM-DD HH:MM [timezone]"`);
+  }
+
+  const [, year, month, day, hour, minute, second = '0', zoneText] = match;
+  const wall = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  };
+  // Round-trip the calendar date so that days past the end of a month are caught
+  const calendar = new Date(Date.UTC(wall.year, wall.month - 1, wall.day));
+  const realDate = calendar.getUTCFullYear() === wall.year &&
+    calendar.getUTCMonth() === wall.month - 1 &&
+    calendar.getUTCDate() === wall.day;
+  if (!realDate || wall.hour > 23 || wall.minute > 59 || wall.second > 59) {
+    throw new ValidationError(`"${text}" is not a valid date and time`);
+  }
+
+  const zone = zoneText.trim() || defaultZone;
+  const offset = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (offset) {
+    const minutes = (Number(offset[2]) * 60 + Number(offset[3])) * (offset[1] === '-' ? -1 : 1);
+    return new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - minutes * 60000);
+  }
+  if (/^(z|utc|gmt)$/i.test(zone)) return zonedToUtc(wall, 'UTC');
+  if (!isValidTimeZone(zone)) {
+    throw new ValidationError(`Unknown timezone "${zone}"`);
+  }
+  return zonedToUtc(wall, zone);
+}
+
+/**
+ * Parse a "09:00-17:00" range into minutes after midnight
+ */
+export function parseHoursRange(text) {
+  const match = String(text ?? '').match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const start = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  const end = match ? Number(match[3]) * 60 + Number(match[4]) : NaN;
+  if (!match || start >= end || end > 24 * 60) {
+    throw new ValidationError(`Working hours must look like 09:00-17:00 (got "${text}")`);
+  }
+  return { start, end };
+}
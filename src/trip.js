@@ -0,0 +1,74 @@
+import { getTimezone, ValidationError } from './api.js';
+import { measure } from './geo.js';
+import { resolveLocations } from './locations.js';
+import { getUtcOffsetMinutes } from './time.js';
+
+// kg CO2e per passenger-km, economy, including radiative forcing (UK DEFRA factors)
+const EMISSION_BANDS = [
+  { maxKm: 785, factor: 0.246 },
+  { maxKm: 3700, factor: 0.151 },
+  { maxKm: Infinity, factor: 0.148 }
+];
+
+/**
+ * Estimated kg of CO2e for one passenger flying `km`
+ */
+export function estimateCo2(km) {
+  const band = EMISSION_BANDS.find(b => km <= b.maxKm);
+  return km * band.factor;
+}
+
+/**
+ * Plan a multi-leg trip: per-leg distance, timezones and clock change, plus totals.
+ * `stops` are anything resolveLocation accepts (coordinates, airport codes, city
+ * names, or already resolved locations), at least two. `resolveOptions` is passed
+ * to resolveLocations.
+ */
+export async function planTrip(stops, { date = new Date(), ...resolveOptions } = {}) {
+  if (stops.length < 2) {
+    throw new ValidationError('A trip needs at least two stops');
+  }
+
+  const places = await resolveLocations(stops, resolveOptions);
+  const unique = [...new Set(places.map(p => p.coordinates))];
+  const timezones = await Promise.all(unique.map(async coords => (await getTimezone(coords)).data?.timezone ?? null));
+  const timezoneOf = (place) => timezones[unique.indexOf(place.coordinates)];
+  const offsetOf = (place) => timezoneOf(place) ? getUtcOffsetMinutes(timezoneOf(place), date) : null;
+
+  // Both ends are already coordinates, so legs are measured locally
+  const legs = places.slice(1).map((to, i) => {
+    const from = places[i];
+    const { km } = measure(from, to);
+    const fromOffset = offsetOf(from);
+    const toOffset = offsetOf(to);
+
+    return {
+      leg: i + 1,
+      from: String(from.input),
+      to: String(to.input),
+      fromName: from.name,
+      toName: to.name,
+      fromCoordinates: from.coordinates,
+      toCoordinates: to.coordinates,
+      km,
+      fromTimezone: timezoneOf(from),
+      toTimezone: timezoneOf(to),
+      shiftMinutes: fromOffset !== null && toOffset !== null ? toOffset - fromOffset : null,
+      co2Kg: estimateCo2(km)
+    };
+  });
+
+  const first = offsetOf(places[0]);
+  const last = offsetOf(places[places.length - 1]);
+
+  return {
+    legs,
+    summary: {
+      stops: stops.length,
+      legs: legs.length,
+      km: legs.reduce((sum, leg) => sum + leg.km, 0),
+      co2Kg: legs.reduce((sum, leg) => sum + leg.co2Kg, 0),
+      shiftMinutes: first !== null && last !== null ? last - first : null
+    }
+  };
+}
@@ -0,0 +1,197 @@
+import { ValidationError } from './api.js';
+import { parseCoordinates } from './geo.js';
+
+// Shared argument checks for the client and the CLI. Each check returns the
+// normalized value or throws a ValidationError whose `details` name the field.
+
+// Response languages the API supports
+export const SUPPORTED_LANGUAGES = ['en', 'fr', 'de', 'es'];
+
+// Largest radius (km) each geo endpoint accepts
+export const MAX_RADIUS = {
+  airports: 500,
+  cities: 200
+};
+
+// Largest page the city endpoints return
+export const MAX_LIMIT = 50;
+
+// Locations one /elevation request accepts
+export const MAX_ELEVATION_LOCATIONS = 20;
+
+export const DISTANCE_UNITS = ['kms', 'miles'];
+export const ELEVATION_UNITS = ['meters', 'feet'];
+
+// Codes people often type for a country whose ISO 3166-1 code differs
+const COUNTRY_ALIASES = {
+  UK: 'GB',
+  EL: 'GR'
+};
+
+const NUMBER = '[+-]?\\d+(?:\\.\\d+)?';
+const LOOKS_NUMERIC = /^[\s\d.,+-]+$/;
+const AIRPORT_CODE_PATTERN = /^[A-Za-z]{3,4}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(message, field, value, suggestion) {
+  const details = { field, value };
+  if (suggestion !== undefined) details.suggestion = suggestion;
+  return new ValidationError(message, { details });
+}
+
+/**
+ * Check a language code against SUPPORTED_LANGUAGES
+ */
+export function validateLanguage(lang) {
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    throw invalid(`Unsupported language "${lang}". Use one of: ${SUPPORTED_LANGUAGES.join(', ')}`, 'language', lang);
+  }
+  return lang;
+}
+
+/**
+ * Check a "lat,long" string, naming the part that is wrong
+ */
+export function validateCoordinates(value, field = 'location') {
+  const text = String(value ?? '').trim();
+  // A leading "+" is accepted but not passed on to the API
+  if (parseCoordinates(text)) return text.replace(/\+/g, '');
+
+  const match = text.match(new RegExp(`^(${NUMBER})\\s*,\\s*(${NUMBER})$`));
+  if (!match) {
+    throw invalid(`${field} must be "latitude,longitude" such as "48.8566,2.3522" (got "${text}")`, field, value);
+  }
+  const [lat, lon] = [Number(match[1]), Number(match[2])];
+  if (lat < -90 || lat > 90) {
+    const hint = Math.abs(lat) <= 180 && Math.abs(lon) <= 90 ? '; latitude comes first' : '';
+    throw invalid(`${field}: latitude ${lat} is outside -90 to 90${hint}`, field, value);
+  }
+  throw invalid(`${field}: longitude ${lon} is outside -180 to 180`, field, value);
+}
+
+/**
+ * Check an API location: "lat,long" coordinates or an IATA/ICAO airport code.
+ * Anything that looks numeric must be well-formed coordinates.
+ */
+export function validateLocation(value, field = 'location') {
+  const text = String(value ?? '').trim();
+  if (AIRPORT_CODE_PATTERN.test(text)) return text;
+  if (LOOKS_NUMERIC.test(text)) return validateCoordinates(text, field);
+  throw invalid(`${field} must be "latitude,longitude" or an airport code (got "${text}")`, field, value);
+}
+
+/**
+ * Check a pipe-separated /elevation location list: at most
+ * MAX_ELEVATION_LOCATIONS coordinates
+ */
+export function validateElevationLocations(locations) {
+  const list = (Array.isArray(locations) ? locations : String(locations ?? '').split('|'))
+    .map(location => String(location).trim())
+    .filter(Boolean);
+  if (!list.length) {
+    throw invalid('elevation needs at least one location', 'locations', locations);
+  }
+  if (list.length > MAX_ELEVATION_LOCATIONS) {
+    throw invalid(
+      `elevation takes at most ${MAX_ELEVATION_LOCATIONS} locations per request (got ${list.length}); use batch elevation for more`,
+      'locations',
+      locations
+    );
+  }
+  list.forEach((location, i) => validateCoordinates(location, `location ${i + 1}`));
+  return list.join('|');
+}
+
+/**
+ * Check a two-letter ISO 3166-1 country code. With `countries` (records
+ * holding cca2, cca3 and name, e.g. the cached /countries list) unknown codes
+ * are rejected too, and three-letter codes, names and swapped letters get a
+ * "did you mean" suggestion.
+ */
+export function validateCountryCode(code, countries = null) {
+  const text = String(code ?? '').trim();
+  const upper = text.toUpperCase();
+  const known = (countries || []).filter(country => country.cca2);
+  const isKnown = (cca2) => !known.length || known.some(country => country.cca2.toUpperCase() === cca2);
+
+  if (/^[A-Z]{2}$/.test(upper) && isKnown(upper) && !COUNTRY_ALIASES[upper]) return upper;
+
+  const suggestion = suggestCountry(upper, known);
+  const hint = suggestion ? ` Did you mean ${suggestion}?` : '';
+  const reason = /^[A-Z]{2}$/.test(upper) ? 'Unknown country code' : 'Country codes are two letters (ISO 3166-1), got';
+  throw invalid(`${reason} "${text}".${hint}`, 'country', code, suggestion ?? undefined);
+}
+
+function suggestCountry(upper, known) {
+  if (COUNTRY_ALIASES[upper]) return COUNTRY_ALIASES[upper];
+  if (!known.length) return null;
+
+  const byField = known.find(country =>
+    country.cca3?.toUpperCase() === upper || String(country.name ?? '').toUpperCase() === upper
+  );
+  if (byField) return byField.cca2.toUpperCase();
+
+  // Swapped letters: "RF" -> "FR"
+  const swapped = upper.length === 2 && known.find(country => country.cca2.toUpperCase() === `${upper[1]}${upper[0]}`);
+  if (swapped) return swapped.cca2.toUpperCase();
+
+  const prefix = known.filter(country => String(country.name ?? '').toUpperCase().startsWith(upper));
+  return prefix.length === 1 ? prefix[0].cca2.toUpperCase() : null;
+}
+
+/**
+ * Check a calendar date written as YYYY-MM-DD
+ */
+export function validateDate(value, field = 'date') {
+  const text = String(value ?? '');
+  const date = DATE_PATTERN.test(text) ? new Date(`${text}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    throw invalid(`${field} must be a date as YYYY-MM-DD (got "${text}")`, field, value);
+  }
+  return text;
+}
+
+/**
+ * Check a value against the units an endpoint accepts
+ */
+export function validateUnit(value, units, field = 'unit') {
+  if (!units.includes(value)) {
+    throw invalid(`${field} must be ${units.slice(0, -1).join(', ')} or ${units[units.length - 1]} (got "${value}")`, field, value);
+  }
+  return value;
+}
+
+/**
+ * Check a whole number within bounds, e.g. --concurrency or --limit
+ */
+export function validateInteger(value, field, { min = 1, max = Infinity } = {}) {
+  const number = Number(value);
+  if (String(value ?? '').trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity
+      ? (min === 1 ? 'a positive integer' : `an integer of at least ${min}`)
+      : `an integer from ${min} to ${max}`;
+    throw invalid(`${field} must be ${range} (got "${value}")`, field, value);
+  }
+  return number;
+}
+
+/**
+ * Check a search radius in km against an endpoint's maximum
+ */
+export function validateRadius(value, max, field = 'radius') {
+  const number = Number(value);
+  if (String(value ?? '').trim() === '' || !Number.isFinite(number) || number <= 0) {
+    throw invalid(`${field} must be a positive number of km (got "${value}")`, field, value);
+  }
+  if (number > max) {
+    throw invalid(`${field} is at most ${max} km (got ${number})`, field, value, max);
+  }
+  return number;
+}
+
+/**
+ * Check a page size against MAX_LIMIT
+ */
+export function validateLimit(value, field = 'limit') {
+  return validateInteger(value, field, { min: 1, max: MAX_LIMIT });
+}
@@ -0,0 +1,66 @@
+import { formatOffset, getUtcOffsetMinutes, isDst, zonedParts, zonedToUtc } from './time.js';
+
+const SLOT_MINUTES = 15;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Local date, time, UTC offset and DST status of a timezone at an instant
+ */
+export function clockAt(timeZone, at = new Date()) {
+  const parts = zonedParts(timeZone, at);
+  const offsetMinutes = getUtcOffsetMinutes(timeZone, at);
+  return {
+    timezone: timeZone,
+    date: parts.date,
+    time: parts.time,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][parts.weekday],
+    offset: formatOffset(offsetMinutes),
+    offsetMinutes,
+    dst: isDst(timeZone, at)
+  };
+}
+
+/**
+ * Whether an instant falls in a timezone's working hours (Monday to Friday)
+ *
+ * @param {{ start: number, end: number }} hours - Minutes after local midnight
+ */
+export function isWorkingTime(timeZone, instant, hours) {
+  const parts = zonedParts(timeZone, instant);
+  const minutes = parts.hour * 60 + parts.minute;
+  return parts.weekday >= 1 && parts.weekday <= 5 && minutes >= hours.start && minutes < hours.end;
+}
+
+/**
+ * Working-hours overlap across timezones over one day: the local day of `at`
+ * in the first timezone. Returns that day's start, the overlapping windows
+ * (15-minute resolution) and, per timezone, which of the 24 hours are working.
+ *
+ * @param {string[]} timeZones
+ * @param {Date} at
+ * @param {{ start: number, end: number }} hours
+ */
+export function workingOverlap(timeZones, at, hours) {
+  const [year, month, day] = zonedParts(timeZones[0], at).date.split('-').map(Number);
+  const dayStart = zonedToUtc({ year, month, day }, timeZones[0]);
+
+  const windows = [];
+  for (let slot = 0; slot < (24 * 60) / SLOT_MINUTES; slot++) {
+    const instant = new Date(dayStart.getTime() + slot * SLOT_MINUTES * 60000);
+    if (!timeZones.every(zone => isWorkingTime(zone, instant, hours))) continue;
+
+    const end = new Date(instant.getTime() + SLOT_MINUTES * 60000);
+    const last = windows[windows.length - 1];
+    if (last && last.end.getTime() === instant.getTime()) {
+      last.end = end;
+    } else {
+      windows.push({ start: instant, end });
+    }
+  }
+
+  const hourly = timeZones.map(zone =>
+    Array.from({ length: 24 }, (_, h) => isWorkingTime(zone, new Date(dayStart.getTime() + h * HOUR_MS), hours))
+  );
+
+  return { dayStart, windows, hourly };
+}
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { createMockServer } from '../src/mock.js';
+
+// ============================================================
+// Runs the CLI against the bundled mock, the way the README examples do
+// ============================================================
+
+const run = promisify(execFile);
+const BIN = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'monvoyagepascher.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createMockServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+/**
+ * Run the CLI with a fresh config directory so no cache or saved setting leaks between cases
+ * @param {string[]} args
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+async function cli(args) {
+  const configHome = mkdtempSync(join(tmpdir(), 'monvoyagepascher-test-'));
+  try {
+    return await run(process.execPath, [BIN, ...args], {
+      timeout: 30000,
+      env: {
+        ...process.env,
+        MONVOYAGEPASCHER_API_KEY: 'test-key',
+        MONVOYAGEPASCHER_BASE_URL: baseUrl,
+        XDG_CONFIG_HOME: configHome,
+        NO_COLOR: '1'
+      }
+    });
+  } finally {
+    rmSync(configHome, { recursive: true, force: true });
+  }
+}
+
+test('distance CDG JFK resolves both airports', async () => {
+  const { stdout } = await cli(['distance', 'CDG', 'JFK', '--json']);
+  const { data } = JSON.parse(stdout);
+  assert.equal(data.from.coordinates, '49.0097,2.5479');
+  assert.equal(data.to.coordinates, '40.6413,-73.7781');
+  assert.ok(Math.abs(data.distance - 5849) < 5, `unexpected distance ${data.distance}`);
+});
+
+test('trip plan CDG JFK LAX plans two legs with their clock changes', async () => {
+  const { stdout } = await cli(['trip', 'plan', 'CDG', 'JFK', 'LAX', '--json']);
+  const { legs } = JSON.parse(stdout);
+  assert.deepEqual(legs.map(leg => [leg.from, leg.to]), [['CDG', 'JFK'], ['JFK', 'LAX']]);
+  assert.deepEqual(legs.map(leg => leg.toTimezone), ['America/New_York', 'America/Los_Angeles']);
+  assert.deepEqual(legs.map(leg => leg.shiftMinutes), [-360, -180]);
+});
+
+test('timezone compare PAR NYC TYO lists the three cities', async () => {
+  const { stdout } = await cli(['timezone', 'compare', 'PAR', 'NYC', 'TYO']);
+  for (const zone of ['Europe/Paris', 'America/New_York', 'Asia/Tokyo']) {
+    assert.match(stdout, new RegExp(zone));
+  }
+});
+
+test('countries profile JP uses Japanese cities and airports', async () => {
+  const { stdout } = await cli(['countries', 'profile', 'JP', '--cities', '5', '--airports', '3']);
+  assert.match(stdout, /Japan \(JP/);
+  assert.match(stdout, /Tokyo/);
+  assert.match(stdout, /NRT/);
+  assert.doesNotMatch(stdout, /Marseille/);
+});